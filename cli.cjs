@@ -8,9 +8,44 @@
  *   node cli.cjs generate --url https://example.com/article    Fetch URL, save article, then generate
  *   node cli.cjs generate --input article.md --embed           Also generate embedding
  *   node cli.cjs generate --input article.md --stamp           Also output a stamp
- *   node cli.cjs parse --input file-with-stamp.md              Parse stamp from document
+ *   node cli.cjs generate --input article.md --format html     Write the stamp as an HTML script tag
+ *   node cli.cjs generate --input article.md --model claude-opus-4-1   Choose the generation model
+ *   node cli.cjs generate --input article.md --backend mock    Offline scripted backend (CI)
+ *   node cli.cjs inject --input article.md                     Write the stamp from output/article.zg.json into the article
+ *   node cli.cjs inject --input article.md --check             Exit non-zero if the article's stamp is missing or stale
+ *   node cli.cjs generate --input long.md --sections           Also stamp each H2 section
+ *   node cli.cjs generate --input book.md --chunk-size 30000   Map-reduce over chunks of at most 30000 chars
+ *   node cli.cjs generate --input article.md --max-attempts 5  Re-prompt invalid output with its errors up to 5 calls
+ *   node cli.cjs inject --input long.md --sections             Write document and section stamps
+ *   node cli.cjs parse --input file-with-stamp.md              Parse stamp from document (text block or HTML script tag)
+ *   node cli.cjs scan --url https://example.com/article        Find and validate the stamps a page already publishes
  *   node cli.cjs parse --input file-with-stamp.md --json       Output as JSON
+ *   node cli.cjs parse --input digest.md --all                 Every stamp in the document, with offsets
+ *   node cli.cjs keygen --key-id example.com                   Create an Ed25519 signing key pair
+ *   node cli.cjs generate --input article.md --sign-key example.com.key.pem --key-id example.com
+ *   node cli.cjs verify --input article.md --keys trusted-keys.json   Check a stamp's signature and content hash
+ *   node cli.cjs lint --input article.md                       Check metaindex quality against the article (CI exit codes)
+ *   node cli.cjs lint --input output/ --strict --json          Lint every .zg.json; warnings fail too
+ *   node cli.cjs validate --input docs/ --format junit         Check every stamp and .zg.json against the JSON Schemas
+ *   node cli.cjs migrate --input output.zg.json --to 0.1       Upgrade a .zg.json or a document's stamps
  *   node cli.cjs embed --input output.zg.json                  Add embedding to JSON
+ *   node cli.cjs batch --input articles/                        Stamp every markdown file in a directory
+ *   node cli.cjs batch --input urls.txt --concurrency 5        Stamp a list of URLs, 5 at a time
+ *   node cli.cjs feed --url https://example.com/feed.xml       Stamp new posts from an RSS/Atom feed or sitemap
+ *   node cli.cjs feed --url https://example.com/sitemap.xml --list   List entries and whether they are stamped
+ *   node cli.cjs manifest --input output.zg.json --provider openai,hash   Multi-provider embedding manifest
+ *   node cli.cjs search --query "agent token costs"            Search embedded .zg.json files in output/
+ *   node cli.cjs search --query "..." --top 10 --json          Top 10 results as JSON
+ *   node cli.cjs cluster                                       Near-duplicates and topic clusters in output/
+ *   node cli.cjs cluster --dedupe merge                        Fold duplicate .zg.json files into their canonical copy
+ *   node cli.cjs export --format jsonl --output stamps.jsonl   Export stamps and vectors (jsonl, sql, csv), incrementally
+ *   node cli.cjs index --input site/ --base-url https://example.com   Build /.well-known/zero-gravity.json
+ *   node cli.cjs cache stats                                   Cached pages, generations and embeddings
+ *   node cli.cjs cache prune --older-than 30d                  Drop cache entries not used in 30 days
+ *   node cli.cjs usage --since 7d                              Tokens and estimated cost by day, model and source
+ *   node cli.cjs batch --input urls.txt --budget 5             Stop before estimated spend would exceed $5
+ *   node cli.cjs serve --port 8787                             Local HTTP JSON API
+ *   node cli.cjs mcp                                           MCP server on stdio for agents
  */
 
 const fs = require('fs');
@@ -35,11 +70,57 @@ function parseArgs(argv) {
     json: false,
     embed: false,
     stamp: false,
-    manifest: null
+    manifest: null,
+    query: null,
+    top: null,
+    dir: null,
+    concurrency: null,
+    force: false,
+    format: null, // md (default) or html for stamps; jsonl, sql or csv for export
+    zg: null,
+    position: 'bottom',
+    check: false,
+    provider: 'openai',
+    backend: null,
+    model: null,
+    all: false,
+    sections: false,
+    to: null,
+    signKey: null,
+    keyId: null,
+    keys: null,
+    list: false,
+    limit: null,
+    port: null,
+    host: null,
+    maxBody: null,
+    chunkSize: null,
+    maxAttempts: null,
+    article: null,
+    strict: false,
+    threshold: null,
+    clusterThreshold: null,
+    dedupe: null,
+    author: null,
+    embeddingModel: null,
+    hasVector: null,
+    table: null,
+    subcommand: null,
+    noCache: false,
+    olderThan: null,
+    kind: null,
+    budget: null,
+    by: null,
+    since: null,
+    requireStamp: false,
+    schema: null,
+    baseUrl: null,
+    pageSize: null
   };
   let i = 2; // skip 'node' and script path
 
   if (argv[i]) args.command = argv[i++];
+  if (argv[i] && !argv[i].startsWith('--')) args.subcommand = argv[i++];
 
   while (i < argv.length) {
     const arg = argv[i];
@@ -57,6 +138,97 @@ function parseArgs(argv) {
       args.stamp = true;
     } else if (arg === '--manifest' && argv[i + 1]) {
       args.manifest = argv[++i];
+    } else if (arg === '--query' && argv[i + 1]) {
+      args.query = argv[++i];
+    } else if (arg === '--top' && argv[i + 1]) {
+      args.top = parseInt(argv[++i], 10);
+    } else if (arg === '--dir' && argv[i + 1]) {
+      args.dir = argv[++i];
+    } else if (arg === '--concurrency' && argv[i + 1]) {
+      args.concurrency = parseInt(argv[++i], 10);
+    } else if (arg === '--force') {
+      args.force = true;
+    } else if (arg === '--format' && argv[i + 1]) {
+      args.format = argv[++i];
+    } else if (arg === '--zg' && argv[i + 1]) {
+      args.zg = argv[++i];
+    } else if (arg === '--position' && argv[i + 1]) {
+      args.position = argv[++i];
+    } else if (arg === '--check') {
+      args.check = true;
+    } else if (arg === '--provider' && argv[i + 1]) {
+      args.provider = argv[++i];
+    } else if (arg === '--backend' && argv[i + 1]) {
+      args.backend = argv[++i];
+    } else if (arg === '--model' && argv[i + 1]) {
+      args.model = argv[++i];
+    } else if (arg === '--all') {
+      args.all = true;
+    } else if (arg === '--sections') {
+      args.sections = true;
+    } else if (arg === '--to' && argv[i + 1]) {
+      args.to = argv[++i];
+    } else if (arg === '--sign-key' && argv[i + 1]) {
+      args.signKey = argv[++i];
+    } else if (arg === '--key-id' && argv[i + 1]) {
+      args.keyId = argv[++i];
+    } else if (arg === '--keys' && argv[i + 1]) {
+      args.keys = argv[++i];
+    } else if (arg === '--list') {
+      args.list = true;
+    } else if (arg === '--limit' && argv[i + 1]) {
+      args.limit = parseInt(argv[++i], 10);
+    } else if (arg === '--port' && argv[i + 1]) {
+      args.port = parseInt(argv[++i], 10);
+    } else if (arg === '--host' && argv[i + 1]) {
+      args.host = argv[++i];
+    } else if (arg === '--max-body' && argv[i + 1]) {
+      args.maxBody = parseInt(argv[++i], 10);
+    } else if (arg === '--chunk-size' && argv[i + 1]) {
+      args.chunkSize = parseInt(argv[++i], 10);
+    } else if (arg === '--max-attempts' && argv[i + 1]) {
+      args.maxAttempts = parseInt(argv[++i], 10);
+    } else if (arg === '--article' && argv[i + 1]) {
+      args.article = argv[++i];
+    } else if (arg === '--strict') {
+      args.strict = true;
+    } else if (arg === '--threshold' && argv[i + 1]) {
+      args.threshold = parseFloat(argv[++i]);
+    } else if (arg === '--cluster-threshold' && argv[i + 1]) {
+      args.clusterThreshold = parseFloat(argv[++i]);
+    } else if (arg === '--dedupe') {
+      // Optional mode: mark (default) or merge
+      args.dedupe = ['mark', 'merge'].includes(argv[i + 1]) ? argv[++i] : 'mark';
+    } else if (arg === '--author' && argv[i + 1]) {
+      args.author = argv[++i];
+    } else if (arg === '--embedding-model' && argv[i + 1]) {
+      args.embeddingModel = argv[++i];
+    } else if (arg === '--has-vector') {
+      args.hasVector = true;
+    } else if (arg === '--no-vector') {
+      args.hasVector = false;
+    } else if (arg === '--table' && argv[i + 1]) {
+      args.table = argv[++i];
+    } else if (arg === '--no-cache') {
+      args.noCache = true;
+    } else if (arg === '--older-than' && argv[i + 1]) {
+      args.olderThan = argv[++i];
+    } else if (arg === '--kind' && argv[i + 1]) {
+      args.kind = argv[++i];
+    } else if (arg === '--budget' && argv[i + 1]) {
+      args.budget = parseFloat(argv[++i]);
+    } else if (arg === '--by' && argv[i + 1]) {
+      args.by = argv[++i];
+    } else if (arg === '--since' && argv[i + 1]) {
+      args.since = argv[++i];
+    } else if (arg === '--require-stamp') {
+      args.requireStamp = true;
+    } else if (arg === '--schema' && argv[i + 1]) {
+      args.schema = argv[++i];
+    } else if (arg === '--base-url' && argv[i + 1]) {
+      args.baseUrl = argv[++i];
+    } else if (arg === '--page-size' && argv[i + 1]) {
+      args.pageSize = parseInt(argv[++i], 10);
     }
     i++;
   }
@@ -64,6 +236,15 @@ function parseArgs(argv) {
   return args;
 }
 
+const STAMP_FORMATS = ['md', 'html'];
+
+function checkStampFormat(format) {
+  if (format !== null && !STAMP_FORMATS.includes(format)) {
+    console.error(`Error: --format must be one of ${STAMP_FORMATS.join(', ')} (got "${format}")`);
+    process.exit(1);
+  }
+}
+
 function readInput(inputPath) {
   if (!inputPath) {
     console.error('Error: --input <path> or --url <url> is required');
@@ -87,129 +268,232 @@ function writeOutput(outputPath, content) {
   console.error(`Written to: ${resolved}`);
 }
 
-async function fetchFromUrl(url) {
-  const parsed = new URL(url);
-  const segments = parsed.pathname.split('/').filter(Boolean);
-  const slug = segments[segments.length - 1] || 'article';
-
-  const html = await new Promise((resolve, reject) => {
-    const https = require('https');
-    const http = require('http');
-
-    function follow(targetUrl, redirects) {
-      if (redirects > 5) return reject(new Error('Too many redirects'));
-      const mod = targetUrl.startsWith('https') ? https : http;
-      mod.get(targetUrl, { headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ZeroGravity/0.1)' } }, (res) => {
-        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-          const next = res.headers.location.startsWith('http')
-            ? res.headers.location
-            : new URL(res.headers.location, targetUrl).href;
-          return follow(next, redirects + 1);
-        }
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => resolve(data));
-      }).on('error', reject);
-    }
+/**
+ * Run a provider factory, turning configuration errors into a CLI error exit.
+ *
+ * @param {function(): Object} create
+ * @returns {Object}
+ */
+function orExit(create) {
+  const { ConfigError } = require('./src/providers.cjs');
+  try {
+    return create();
+  } catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    console.error(e.message);
+    process.exit(1);
+  }
+}
 
-    follow(url, 0);
-  });
+/**
+ * Build a generation backend from --backend / --model (or ZEROGRAVITY_BACKEND).
+ * See createGenerationBackend() in src/providers.cjs for the options.
+ *
+ * @param {Object} args - Parsed CLI args
+ * @returns {Object} Generation backend
+ */
+function getGenerationBackend(args) {
+  const { createGenerationBackend } = require('./src/providers.cjs');
+  return orExit(() => createGenerationBackend({ name: args.backend, model: args.model }));
+}
 
-  // Strip non-content semantic elements before converting
-  const cleaned = html
-    .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-    .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-    .replace(/<nav[^>]*>[\s\S]*?<\/nav>/gi, '')
-    .replace(/<footer[^>]*>[\s\S]*?<\/footer>/gi, '')
-    .replace(/<aside[^>]*>[\s\S]*?<\/aside>/gi, '');
+/**
+ * Build an embedding provider by name: openai, local or hash.
+ * See createEmbeddingProvider() in src/providers.cjs for the options.
+ *
+ * @param {string} [name='openai']
+ * @returns {Object} Embedding provider
+ */
+function getEmbeddingProvider(name = 'openai') {
+  const { createEmbeddingProvider } = require('./src/providers.cjs');
+  return orExit(() => createEmbeddingProvider(name));
+}
 
-  const TurndownService = require('turndown');
-  const td = new TurndownService({ headingStyle: 'atx', bulletListMarker: '-' });
-  const text = td.turndown(cleaned);
+/**
+ * Open the local cache for fetched pages, generations and embeddings
+ * (output/cache/, or ZEROGRAVITY_CACHE_DIR).
+ *
+ * @param {Object} args - Parsed CLI args
+ * @returns {Object|null} Null with --no-cache
+ */
+function getCache(args) {
+  if (args.noCache) return null;
+  const { createCache } = require('./src/cache.cjs');
+  return createCache({ dir: process.env.ZEROGRAVITY_CACHE_DIR || path.join(OUTPUT_DIR, 'cache') });
+}
 
-  return { slug, text };
+/**
+ * The usage ledger file (ZEROGRAVITY_USAGE_LEDGER, default output/usage.jsonl).
+ *
+ * @returns {string}
+ */
+function usageLedgerPath() {
+  return process.env.ZEROGRAVITY_USAGE_LEDGER || path.join(OUTPUT_DIR, 'usage.jsonl');
 }
 
-function getAnthropicClient() {
-  const apiKey = process.env.ZEROGRAVITY_API_KEY || process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    console.error('No Anthropic API key found. Set ZEROGRAVITY_API_KEY or ANTHROPIC_API_KEY in .env');
+let runMeter = null;
+
+/**
+ * The meter shared by every model call in this run: ledgers usage, priced
+ * from ZEROGRAVITY_PRICES (a JSON price table) over the defaults, and
+ * enforces --budget.
+ *
+ * @param {Object} args - Parsed CLI args
+ * @returns {Object} Meter from usage.cjs
+ */
+function getMeter(args) {
+  if (runMeter) return runMeter;
+  const { createMeter, loadPrices } = require('./src/usage.cjs');
+  if (args.budget !== null && !(args.budget > 0)) {
+    console.error('Error: --budget must be a positive amount in USD');
+    process.exit(1);
+  }
+  let prices;
+  try {
+    prices = loadPrices(process.env.ZEROGRAVITY_PRICES);
+  } catch (e) {
+    console.error(`[zerogravity] ${e.message}`);
     process.exit(1);
   }
-  const Anthropic = require('@anthropic-ai/sdk');
-  return new Anthropic({ apiKey });
+  runMeter = createMeter({
+    ledger: usageLedgerPath(),
+    prices,
+    budget: args.budget,
+    command: args.command,
+    warn: msg => console.error(`[zerogravity] Warning: ${msg}`)
+  });
+  return runMeter;
 }
 
-function getOpenAIClient() {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    console.error('No OpenAI API key found. Set OPENAI_API_KEY in .env');
+/**
+ * Load the publisher's signing key from --sign-key / --key-id
+ * (or ZEROGRAVITY_SIGNING_KEY / ZEROGRAVITY_KEY_ID).
+ *
+ * @param {Object} args - Parsed CLI args
+ * @returns {{ privateKey: Object, keyId: string } | null} Null when signing is not requested
+ */
+function getSigner(args) {
+  const keyPath = args.signKey || process.env.ZEROGRAVITY_SIGNING_KEY;
+  if (!keyPath) return null;
+
+  const keyId = args.keyId || process.env.ZEROGRAVITY_KEY_ID;
+  if (!keyId) {
+    console.error('Signing needs a key id: pass --key-id or set ZEROGRAVITY_KEY_ID');
+    process.exit(1);
+  }
+  const resolved = path.resolve(keyPath);
+  if (!fs.existsSync(resolved)) {
+    console.error(`Signing key not found: ${resolved}`);
     process.exit(1);
   }
-  const OpenAI = require('openai');
-  return new OpenAI({ apiKey });
+
+  const crypto = require('crypto');
+  return { privateKey: crypto.createPrivateKey(fs.readFileSync(resolved, 'utf-8')), keyId };
 }
 
 // ─── GENERATE command ────────────────────────────────────────────
 
-async function cmdGenerate(args) {
-  let text, slug;
-
-  if (args.url) {
-    console.error(`[zerogravity] Fetching ${args.url}...`);
-    const fetched = await fetchFromUrl(args.url);
-    slug = fetched.slug;
-    text = fetched.text;
-    ensureOutputDirs();
-    const savedPath = path.join(RAW_DIR, `${slug}.md`);
-    fs.writeFileSync(savedPath, text);
-    console.error(`[zerogravity] Article saved to: ${savedPath}`);
-  } else {
-    text = readInput(args.input);
-    slug = args.input ? path.basename(args.input, path.extname(args.input)) : null;
-  }
-
-  const anthropic = getAnthropicClient();
+/**
+ * Generate, validate, optionally embed, and write outputs for one article.
+ * Throws instead of exiting so batch runs can carry on past a failure.
+ *
+ * @param {Object} options
+ * @param {Object} options.backend - Generation backend
+ * @param {Object|null} options.embedder - Embedding provider, required when args.embed is set
+ * @param {Object|null} [options.signer] - Signing key from getSigner()
+ * @param {string} options.text - Article text
+ * @param {string|null} options.slug - Output file slug
+ * @param {Object|null} [options.source] - Fetched page metadata, stored as source_url/canonical_url/published_at
+ * @param {Object} options.args - Parsed CLI args (embed, manifest, output, format)
+ * @param {Object} [options.extra] - Additional fields for the .zg.json (e.g. parent, section)
+ * @param {function(string): void} [options.log] - Progress logger
+ * @returns {Promise<{ fields: Object, validation: Object, jsonPath: string, stamp: string }>}
+ */
+async function stampArticle({ backend, embedder, signer = null, text, slug, source = null, args, extra = {}, log = msg => console.error(`[zerogravity] ${msg}`) }) {
   const { generate } = require('./src/generator.cjs');
-  const { validateFullJSON } = require('./src/parser.cjs');
-  const { embed, buildFullJSON } = require('./src/embedder.cjs');
+  const { validateFullJSON, formatStampWithHeader, formatStampScript, stampFieldsFromJSON } = require('./src/parser.cjs');
+  const { embed, buildFullJSON, hashText } = require('./src/embedder.cjs');
+  const { meterBackend, meterEmbedder } = require('./src/usage.cjs');
+  const meter = getMeter(args);
 
-  console.error('[zerogravity] Generating Zero Gravity fields...');
-  const result = await generate(anthropic, { text });
+  log('Generating Zero Gravity fields...');
+  const result = await generate(meterBackend(backend, meter, { source: slug }), {
+    text,
+    slug,
+    source,
+    chunkChars: args.chunkSize > 0 ? args.chunkSize : undefined,
+    maxAttempts: args.maxAttempts > 0 ? args.maxAttempts : undefined,
+    cache: getCache(args)
+  });
 
   if (!result.fields) {
-    console.error('[zerogravity] ERROR: Failed to generate valid fields');
-    console.error('[zerogravity] Raw output:');
-    console.error(result.raw);
-    process.exit(1);
+    const err = new Error('Failed to generate valid fields');
+    err.raw = result.raw;
+    throw err;
   }
 
   // Validate
   const validation = validateFullJSON(result.fields);
   if (validation.valid) {
-    console.error('[zerogravity] Fields are valid');
+    log('Fields are valid');
   } else {
-    console.error('[zerogravity] Validation warnings:');
+    log('Validation warnings:');
     for (const err of validation.errors) {
-      console.error(`  - ${err}`);
+      log(`  - ${err}`);
     }
   }
+  for (const warning of validation.warnings) {
+    log(`Warning: ${warning}`);
+  }
 
-  console.error(`[zerogravity] Tokens used: ${result.usage.input_tokens} in / ${result.usage.output_tokens} out`);
+  if (result.generation && result.generation.chunks) {
+    log(`Long article: generated from ${result.generation.chunks} chunks`);
+  }
+  if (result.generation && result.generation.attempts.length > 1) {
+    log(result.errors.length === 0
+      ? `Valid after ${result.generation.attempts.length} attempts`
+      : `No valid output after ${result.generation.attempts.length} attempts; keeping the attempt with the fewest errors`);
+  }
+  if (result.cached) {
+    log(`Reused cached generation (${result.model}); no tokens used`);
+  } else {
+    log(`Tokens used: ${result.usage.input_tokens} in / ${result.usage.output_tokens} out (${result.model})`);
+  }
 
   // Optionally embed
   let embeddingResult = null;
   if (args.embed) {
-    const openai = getOpenAIClient();
-    console.error('[zerogravity] Generating embedding...');
-    embeddingResult = await embed(openai, { fields: result.fields });
-    console.error(`[zerogravity] Embedding: ${embeddingResult.dimensions} dimensions, model: ${embeddingResult.model}`);
+    log('Generating embedding...');
+    embeddingResult = await embed(meterEmbedder(embedder, meter, { source: slug }), { fields: result.fields, cache: getCache(args) });
+    log(`Embedding: ${embeddingResult.dimensions} dimensions, model: ${embeddingResult.model}`);
+  }
+
+  // Derive the stamp first so a signature can go in both the stamp and the .zg.json
+  const stampFields = stampFieldsFromJSON(result.fields, {
+    model: result.model,
+    manifest: args.manifest
+  });
+  let signed = {};
+  if (signer) {
+    const { signStamp } = require('./src/signing.cjs');
+    signed = signStamp(stampFields, { articleText: text, privateKey: signer.privateKey, keyId: signer.keyId });
+    Object.assign(stampFields, signed);
+    log(`Signed with key "${signer.keyId}"`);
   }
 
   // Build and write full JSON
   const fullJSON = buildFullJSON({
-    fields: result.fields,
-    embedding: embeddingResult
+    fields: {
+      ...result.fields,
+      ...extra,
+      ...(args.manifest ? { manifest: args.manifest } : {}),
+      ...sourceFields(source),
+      ...signed
+    },
+    embedding: embeddingResult,
+    sourceHash: hashText(text),
+    model: result.model,
+    generation: result.generation
   });
 
   const fileSlug = slug || 'output';
@@ -221,144 +505,1868 @@ async function cmdGenerate(args) {
   writeOutput(jsonPath, jsonStr);
 
   // Always write stamp file
-  const { formatStampWithHeader } = require('./src/parser.cjs');
-  const { DEFAULT_MODEL } = require('./src/generator.cjs');
-  const stampFields = {
-    author: result.fields.author,
-    title: result.fields.title,
-    intent: result.fields.intent,
-    metaindex: result.fields.metaindex || [],
-    model: DEFAULT_MODEL,
-    manifest: args.manifest || undefined
-  };
-  const stamp = formatStampWithHeader(stampFields);
-  const stampPath = path.join(OUTPUT_DIR, `${fileSlug}.stamp.md`);
+  const html = args.format === 'html';
+  const stamp = html ? formatStampScript(stampFields) : formatStampWithHeader(stampFields);
+  const stampPath = path.join(OUTPUT_DIR, `${fileSlug}.stamp.${html ? 'html' : 'md'}`);
   writeOutput(stampPath, stamp);
 
+  return { fields: result.fields, validation, jsonPath, stamp };
+}
+
+/**
+ * The page metadata kept in the .zg.json.
+ *
+ * @param {Object|null} source - Page metadata from fetcher.cjs
+ * @returns {Object}
+ */
+function sourceFields(source) {
+  if (!source) return {};
+  const fields = { source_url: source.source_url };
+  if (source.canonical_url) fields.canonical_url = source.canonical_url;
+  if (source.published_at) fields.published_at = source.published_at;
+  return fields;
+}
+
+/**
+ * Load article text for a URL (fetched and saved to output/raw/) or a local file.
+ * URLs also return the page metadata captured while fetching.
+ *
+ * @param {{ type: 'file'|'url', source: string, slug?: string, hints?: Object, page?: Object }} item - slug
+ *   overrides a file's basename; hints fill page metadata the page lacks; page is an already-fetched response
+ * @param {function(string): void} log
+ * @returns {Promise<{ text: string, slug: string, source: Object|null }>}
+ */
+async function loadArticle(item, log, cache = null) {
+  if (item.type === 'url') {
+    log(`Fetching ${item.source}...`);
+    const { fetchArticle } = require('./src/fetcher.cjs');
+    const { slug, text, source } = await fetchArticle(item.source, { hints: item.hints, page: item.page, cache });
+    ensureOutputDirs();
+    const savedPath = path.join(RAW_DIR, `${slug}.md`);
+    fs.writeFileSync(savedPath, text);
+    log(`Article saved to: ${savedPath}`);
+    if (source.canonical_url && source.canonical_url !== item.source) {
+      log(`Canonical URL: ${source.canonical_url}`);
+    }
+    return { slug, text, source };
+  }
+  const { removeStamps } = require('./src/inject.cjs');
+  return {
+    text: removeStamps(fs.readFileSync(item.source, 'utf-8')),
+    slug: item.slug || path.basename(item.source, path.extname(item.source)),
+    source: null
+  };
+}
+
+async function cmdGenerate(args) {
+  checkStampFormat(args.format);
+  let text, slug, source = null;
+
+  if (args.url) {
+    const log = msg => console.error(`[zerogravity] ${msg}`);
+    let page = null;
+
+    // A page that already publishes a valid stamp needs no generation
+    if (!args.force) {
+      const { fetchPage } = require('./src/fetcher.cjs');
+      const { scanPage, bestFinding } = require('./src/scan.cjs');
+      log(`Checking ${args.url} for an existing stamp...`);
+      page = await fetchPage(args.url, { cache: getCache(args) });
+      const existing = bestFinding((await scanPage(page)).findings);
+      if (existing) {
+        reuseFinding(existing, { page, args, log });
+        return;
+      }
+    }
+
+    ({ text, slug, source } = await loadArticle({ type: 'url', source: args.url, page }, log, getCache(args)));
+  } else {
+    // Existing stamps are not part of the article
+    const { removeStamps } = require('./src/inject.cjs');
+    text = removeStamps(readInput(args.input));
+    slug = args.input ? path.basename(args.input, path.extname(args.input)) : null;
+  }
+
+  const backend = getGenerationBackend(args);
+  const embedder = args.embed ? getEmbeddingProvider(args.provider) : null;
+  const signer = getSigner(args);
+
+  let stamped;
+  try {
+    stamped = await stampArticle({ backend, embedder, signer, text, slug, source, args });
+  } catch (e) {
+    const { BudgetExceededError } = require('./src/usage.cjs');
+    if (e instanceof BudgetExceededError) {
+      console.error(`[zerogravity] ${e.message}; nothing was written`);
+      process.exit(1);
+    }
+    if (e.raw === undefined) throw e;
+    console.error(`[zerogravity] ERROR: ${e.message}`);
+    console.error('[zerogravity] Raw output:');
+    console.error(e.raw);
+    process.exit(1);
+  }
+
   // Print stamp to stdout if requested
   if (args.stamp) {
     console.error('\n[zerogravity] Stamp:\n');
-    console.log(stamp);
+    console.log(stamped.stamp);
+  }
+
+  if (args.sections) {
+    await generateSections({ backend, embedder, signer, text, slug: slug || 'output', parent: stamped.fields, args });
   }
 }
 
-// ─── PARSE command ───────────────────────────────────────────────
+/**
+ * Write outputs from a stamp the page already publishes, instead of generating.
+ * A full JSON (sidecar or manifest) is written as the .zg.json; an inline
+ * stamp alone only yields the stamp file.
+ *
+ * @param {Object} finding - ScanFinding from scan.cjs
+ * @param {Object} options
+ * @param {Object} options.page - fetchPage() result
+ * @param {Object} options.args - Parsed CLI args
+ * @param {function(string): void} options.log
+ */
+function reuseFinding(finding, { page, args, log }) {
+  const { formatStampWithHeader, formatStampScript, stampFieldsFromJSON, ID_REGEX } = require('./src/parser.cjs');
+  const { slugFromUrl } = require('./src/fetcher.cjs');
 
-async function cmdParse(args) {
-  const text = readInput(args.input);
-  const { parseZG } = require('./src/parser.cjs');
+  log(`Found a valid ${finding.kind === 'json' ? 'full JSON' : 'stamp'} (${finding.source}) at ${finding.url}`);
+  log('Reusing it instead of generating; pass --force to regenerate');
 
-  const result = parseZG(text);
+  const fields = finding.fields;
+  // The id comes from a remote page: only a slug may name files
+  const fileSlug = typeof fields.id === 'string' && ID_REGEX.test(fields.id) ? fields.id : slugFromUrl(page.url, fields.title);
+  const outputFile = name => {
+    const resolved = path.resolve(OUTPUT_DIR, name);
+    const relative = path.relative(OUTPUT_DIR, resolved);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      console.error(`[zerogravity] Refusing to write outside ${OUTPUT_DIR}: ${resolved}`);
+      process.exit(1);
+    }
+    return resolved;
+  };
+  ensureOutputDirs();
 
-  if (!result) {
-    console.error('[zerogravity] No Zero Gravity stamp found in input');
-    process.exit(1);
+  let stampFields = fields;
+  if (finding.kind === 'json') {
+    const json = fields.source_url ? fields : { ...fields, source_url: args.url };
+    writeOutput(args.output || outputFile(`${fileSlug}.zg.json`), JSON.stringify(json, null, 2));
+    stampFields = stampFieldsFromJSON(json, { model: json.model, manifest: json.manifest });
+  } else {
+    log('The page publishes no full JSON, so no .zg.json was written');
   }
 
-  if (args.json) {
-    console.log(JSON.stringify({
-      version: result.version,
-      fields: result.fields,
-      validation: result.validation
-    }, null, 2));
-    return;
+  const html = args.format === 'html';
+  const stamp = html ? formatStampScript(stampFields) : formatStampWithHeader(stampFields);
+  writeOutput(outputFile(`${fileSlug}.stamp.${html ? 'html' : 'md'}`), stamp);
+
+  if (args.stamp) {
+    console.error('\n[zerogravity] Stamp:\n');
+    console.log(stamp);
   }
+}
 
-  // Human-readable output
-  console.error(`[zerogravity] Zero Gravity v${result.version} stamp found\n`);
+/**
+ * Stamp each H2 section of a document, recording the parent document's id.
+ * Section outputs are written as output/{slug}--{section}.zg.json.
+ *
+ * @param {Object} options
+ * @param {Object} options.backend - Generation backend
+ * @param {Object|null} options.embedder - Embedding provider
+ * @param {Object|null} options.signer - Signing key from getSigner()
+ * @param {string} options.text - Document text (stamps removed)
+ * @param {string} options.slug - Document slug
+ * @param {Object} options.parent - Generated fields of the whole document
+ * @param {Object} options.args - Parsed CLI args
+ */
+async function generateSections({ backend, embedder, signer, text, slug, parent, args }) {
+  const { splitSections, sectionFileSlug } = require('./src/sections.cjs');
+  const { BudgetExceededError } = require('./src/usage.cjs');
+  const sections = splitSections(text);
 
-  for (const [key, value] of Object.entries(result.fields)) {
-    if (Array.isArray(value)) {
-      console.error(`  ${key}: [${value.length} items]`);
-      for (const item of value) {
-        console.error(`    - ${item}`);
+  if (sections.length === 0) {
+    console.error('[zerogravity] No H2 sections found; only the document was stamped');
+    return;
+  }
+
+  console.error(`[zerogravity] Stamping ${sections.length} sections...`);
+  const failures = [];
+  for (const [idx, section] of sections.entries()) {
+    const log = msg => console.error(`[zerogravity] [${idx + 1}/${sections.length} ${section.slug}] ${msg}`);
+    try {
+      await stampArticle({
+        backend,
+        embedder,
+        signer,
+        text: section.text,
+        slug: sectionFileSlug(slug, section.slug),
+        args: { ...args, output: null },
+        extra: { parent: parent.id, section: section.heading },
+        log
+      });
+    } catch (e) {
+      if (e instanceof BudgetExceededError) {
+        console.error(`[zerogravity] ${e.message}; ${sections.length - idx} sections left unstamped`);
+        process.exit(1);
       }
-    } else {
-      console.error(`  ${key}: ${value}`);
+      log(`ERROR: ${e.message}`);
+      failures.push(section.slug);
     }
   }
 
-  console.error('');
-  if (result.validation.valid) {
-    console.error('  Status: VALID');
-  } else {
-    console.error('  Status: INVALID');
-    for (const err of result.validation.errors) {
-      console.error(`    - ${err}`);
-    }
+  if (failures.length > 0) {
+    console.error(`[zerogravity] ${failures.length} sections failed: ${failures.join(', ')}`);
+    process.exit(1);
   }
 }
 
-// ─── EMBED command ───────────────────────────────────────────────
-
-async function cmdEmbed(args) {
-  const text = readInput(args.input);
-  const { embed, buildFullJSON } = require('./src/embedder.cjs');
+// ─── BATCH command ───────────────────────────────────────────────
 
-  // Input can be either a .zg.json file or a document with a stamp
-  let fields;
+/**
+ * Read the source hash recorded in an existing .zg.json, if any.
+ *
+ * @param {string} jsonPath
+ * @returns {string|null}
+ */
+function readSourceHash(jsonPath) {
   try {
-    const json = JSON.parse(text);
-    // It's a JSON file — use the fields directly
-    const { embedding, encoding, version, created_at, ...rest } = json;
-    fields = rest;
+    return JSON.parse(fs.readFileSync(jsonPath, 'utf-8')).source_hash || null;
   } catch {
-    // Not JSON — try to parse as a document with a stamp
-    const { parseZG } = require('./src/parser.cjs');
-    const result = parseZG(text);
-    if (!result) {
-      console.error('[zerogravity] No Zero Gravity stamp or JSON found in input');
-      process.exit(1);
+    return null;
+  }
+}
+
+async function cmdBatch(args) {
+  if (!args.input) {
+    console.error('Error: --input <directory|glob|urls.txt> is required');
+    process.exit(1);
+  }
+  if (args.output) {
+    console.error('Error: --output is not supported in batch mode; files are written to ./output/');
+    process.exit(1);
+  }
+  checkStampFormat(args.format);
+
+  const { resolveBatchInputs, findSlugCollisions } = require('./src/batch.cjs');
+  const items = resolveBatchInputs(args.input);
+  if (items.length === 0) {
+    console.error(`[zerogravity] No inputs found for ${args.input}`);
+    process.exit(1);
+  }
+  const collisions = findSlugCollisions(items);
+  if (collisions.length > 0) {
+    for (const { slug, sources } of collisions) {
+      console.error(`[zerogravity] Output slug "${slug}" is shared by: ${sources.join(', ')}`);
     }
-    fields = {
-      title: result.fields.title,
-      intent: result.fields.intent
-    };
-    console.error('[zerogravity] WARNING: Stamp has limited fields. For best embeddings, use the full .zg.json file as input.');
+    console.error('[zerogravity] Rename the files so each writes its own output/<slug>.zg.json');
+    process.exit(1);
   }
 
-  const openai = getOpenAIClient();
-  console.error('[zerogravity] Generating embedding...');
-  const embeddingResult = await embed(openai, { fields });
+  ensureOutputDirs();
+  await runStampQueue(items, { statePath: path.join(OUTPUT_DIR, 'batch-state.json'), args });
+}
 
-  const fullJSON = buildFullJSON({ fields, embedding: embeddingResult });
-  const jsonStr = JSON.stringify(fullJSON, null, 2);
+/**
+ * Stamp work items with bounded concurrency, recording each outcome in a
+ * state file so interrupted or repeated runs skip finished work, then
+ * print a summary. Exits non-zero if any item failed.
+ *
+ * @param {Array<{ type: 'file'|'url', source: string, hints?: Object, feed?: string }>} items
+ * @param {Object} options
+ * @param {string} options.statePath - State file, e.g. output/batch-state.json
+ * @param {Object} options.args - Parsed CLI args
+ * @param {string} [options.label='Batch'] - Name used in log lines
+ */
+async function runStampQueue(items, { statePath, args, label = 'Batch' }) {
+  const { runWithConcurrency, loadBatchState, saveBatchState, DEFAULT_CONCURRENCY } = require('./src/batch.cjs');
+  const { hashText } = require('./src/embedder.cjs');
+  const { BudgetExceededError } = require('./src/usage.cjs');
 
-  if (args.output) {
-    writeOutput(args.output, jsonStr);
-  } else {
-    console.log(jsonStr);
+  const state = loadBatchState(statePath);
+  const meter = getMeter(args);
+  let budgetStop = null;
+  // Slug → source claimed in this run; URLs only learn their slug when fetched
+  const claimed = new Map();
+  const backend = getGenerationBackend(args);
+  const embedder = args.embed ? getEmbeddingProvider(args.provider) : null;
+  const signer = getSigner(args);
+  const concurrency = args.concurrency > 0 ? args.concurrency : DEFAULT_CONCURRENCY;
+
+  console.error(`[zerogravity] ${label}: ${items.length} inputs, concurrency ${concurrency}`);
+
+  const results = await runWithConcurrency(items, concurrency, async (item, idx) => {
+    const prefix = `[${idx + 1}/${items.length}]`;
+    const log = msg => console.error(`[zerogravity] ${prefix} ${msg}`);
+    const prior = state.items[item.source];
+    const origin = item.feed ? { feed: item.feed } : {};
+
+    // Once the budget is reached, the rest stay pending for the next run
+    if (budgetStop) return { skipped: true, pending: true };
+
+    // URLs are resumed from state — re-checking them would mean refetching
+    if (item.type === 'url' && !args.force && prior && prior.status === 'done') {
+      log(`Skipping ${item.source} (already stamped)`);
+      return { skipped: true };
+    }
+
+    const { text, slug, source } = await loadArticle(item, log, getCache(args));
+    if (claimed.has(slug) && claimed.get(slug) !== item.source) {
+      throw new Error(`Output slug "${slug}" is already used by ${claimed.get(slug)} in this run`);
+    }
+    claimed.set(slug, item.source);
+    const sourceHash = hashText(text);
+    const jsonPath = path.join(OUTPUT_DIR, `${slug}.zg.json`);
+
+    if (!args.force && readSourceHash(jsonPath) === sourceHash) {
+      log(`Skipping ${item.source} (unchanged)`);
+      state.items[item.source] = { status: 'done', slug, source_hash: sourceHash, ...origin };
+      saveBatchState(statePath, state);
+      return { skipped: true };
+    }
+
+    try {
+      const stamped = await stampArticle({ backend, embedder, signer, text, slug, source, args, log });
+      state.items[item.source] = { status: 'done', slug, source_hash: sourceHash, ...origin };
+      return { skipped: false, slug, warnings: stamped.validation.errors };
+    } catch (e) {
+      if (e instanceof BudgetExceededError) {
+        budgetStop = budgetStop || e;
+        log(`Stopped: ${e.message}`);
+        return { skipped: true, pending: true };
+      }
+      state.items[item.source] = { status: 'failed', slug, error: e.message, ...origin };
+      throw e;
+    } finally {
+      saveBatchState(statePath, state);
+    }
+  });
+
+  // Items that failed before reaching the stamping step still need recording
+  for (const r of results) {
+    if (!r.ok && (!state.items[r.item.source] || state.items[r.item.source].status === 'done')) {
+      state.items[r.item.source] = { status: 'failed', error: r.error.message, ...(r.item.feed ? { feed: r.item.feed } : {}) };
+    }
   }
+  saveBatchState(statePath, state);
 
-  console.error(`[zerogravity] Embedding: ${embeddingResult.dimensions} dimensions, model: ${embeddingResult.model}`);
-}
+  const stamped = results.filter(r => r.ok && !r.value.skipped);
+  const skipped = results.filter(r => r.ok && r.value.skipped && !r.value.pending);
+  const pending = results.filter(r => r.ok && r.value.pending);
+  const failed = results.filter(r => !r.ok);
+  const warned = stamped.filter(r => r.value.warnings.length > 0);
 
-// ─── HELP ────────────────────────────────────────────────────────
+  console.error('');
+  console.error(`[zerogravity] ${label} summary`);
+  console.error(`  Stamped:  ${stamped.length}`);
+  console.error(`  Skipped:  ${skipped.length}`);
+  console.error(`  Failed:   ${failed.length}`);
+  console.error(`  Warnings: ${warned.length}`);
+  if (meter.spent > 0 || budgetStop) {
+    console.error(`  Spent:    $${meter.spent.toFixed(4)} (estimated${meter.budget !== null ? `, budget $${meter.budget.toFixed(2)}` : ''})`);
+  }
+  if (budgetStop) {
+    console.error(`  Pending:  ${pending.length} (budget reached; re-run to continue)`);
+  }
 
-function printHelp() {
-  console.error(`
-  Zero Gravity CLI
+  for (const r of warned) {
+    console.error(`\n  ${r.value.slug}:`);
+    for (const w of r.value.warnings) {
+      console.error(`    - ${w}`);
+    }
+  }
+  for (const r of failed) {
+    console.error(`\n  FAILED ${r.item.source}: ${r.error.message}`);
+  }
 
-  Commands:
-    generate  Generate Zero Gravity fields from an article
-    parse     Parse a Zero Gravity stamp from a document
-    embed     Add embedding to a .zg.json file
+  if (failed.length > 0) process.exit(1);
+}
 
-  Generate:
-    node cli.cjs generate --input article.md
-    node cli.cjs generate --url https://example.com/article
-    node cli.cjs generate --input article.md --embed
-    node cli.cjs generate --input article.md --stamp
-    node cli.cjs generate --input article.md --stamp --manifest https://example.com/embed.json
-    node cli.cjs generate --input article.md --output path/to/output.zg.json
+// ─── FEED command ────────────────────────────────────────────────
 
-  Parse:
-    node cli.cjs parse --input file-with-stamp.md
-    node cli.cjs parse --input file-with-stamp.md --json
+async function cmdFeed(args) {
+  if (!args.url && !args.input) {
+    console.error('Error: --url <feed or sitemap URL> or --input <feed.xml> is required');
+    process.exit(1);
+  }
+  if (args.output) {
+    console.error('Error: --output is not supported in feed mode; files are written to ./output/');
+    process.exit(1);
+  }
+  checkStampFormat(args.format);
 
-  Embed:
+  const { fetchFeed, parseFeed } = require('./src/feeds.cjs');
+  const { loadBatchState } = require('./src/batch.cjs');
+  const log = msg => console.error(`[zerogravity] ${msg}`);
+
+  const feedSource = args.url || path.resolve(args.input);
+  let feed;
+  if (args.url) {
+    log(`Reading ${args.url}...`);
+    feed = await fetchFeed(args.url, { log });
+  } else {
+    feed = parseFeed(readInput(args.input));
+  }
+  log(`${feed.kind === 'sitemap' ? 'Sitemap' : 'Feed'}${feed.title ? ` "${feed.title}"` : ''}: ${feed.entries.length} entries`);
+
+  ensureOutputDirs();
+  const statePath = path.join(OUTPUT_DIR, 'feed-state.json');
+  const state = loadBatchState(statePath);
+  const statusOf = entry => (state.items[entry.url] ? state.items[entry.url].status : 'new');
+
+  if (args.list) {
+    const listed = feed.entries.map(entry => ({ ...entry, status: statusOf(entry) }));
+    if (args.json) {
+      console.log(JSON.stringify({ kind: feed.kind, title: feed.title, entries: listed }, null, 2));
+    } else {
+      for (const entry of listed) {
+        const date = entry.published_at ? entry.published_at.slice(0, 10) : '          ';
+        console.log(`${entry.status.padEnd(6)}  ${date}  ${entry.url}${entry.title ? `  ${entry.title}` : ''}`);
+      }
+    }
+    return;
+  }
+
+  let pending = feed.entries.filter(entry => args.force || statusOf(entry) !== 'done');
+  if (args.limit > 0) pending = pending.slice(0, args.limit);
+  if (pending.length === 0) {
+    log('No new entries to stamp');
+    return;
+  }
+
+  const items = pending.map(entry => ({
+    type: 'url',
+    source: entry.url,
+    hints: { title: entry.title, author: entry.author, published_at: entry.published_at },
+    feed: feedSource
+  }));
+  await runStampQueue(items, { statePath, args, label: 'Feed' });
+}
+
+// ─── INJECT command ──────────────────────────────────────────────
+
+/**
+ * Stamp fields for a .zg.json, keeping model and manifest from the
+ * embedded stamp when the .zg.json doesn't say.
+ *
+ * @param {Object} json - Full JSON
+ * @param {Object|null} existing - parseZG() result for the stamp being replaced
+ * @param {Object} args - Parsed CLI args
+ * @returns {Object}
+ */
+function injectStampFields(json, existing, args) {
+  const { stampFieldsFromJSON } = require('./src/parser.cjs');
+  const { DEFAULT_MODEL } = require('./src/generator.cjs');
+  const prior = existing ? existing.fields : {};
+  return stampFieldsFromJSON(json, {
+    model: json.model || prior.model || DEFAULT_MODEL,
+    manifest: args.manifest || json.manifest || prior.manifest
+  });
+}
+
+/**
+ * Keep an injected stamp's signature true to its fields. With a signing
+ * key the stamp is re-signed over `articleText`. Without one, a signature
+ * is kept only while the fields match what was signed — checked against
+ * trusted keys (--keys / ZEROGRAVITY_TRUSTED_KEYS) when given, else
+ * against the stamp the .zg.json itself yields — and dropped otherwise.
+ *
+ * @param {Object} stampFields - From injectStampFields()
+ * @param {Object} json - The .zg.json the stamp comes from
+ * @param {Object} options
+ * @param {Object|null} options.signer - From getSigner()
+ * @param {Object|null} options.trustedKeys - key_id → PEM public key
+ * @param {string} options.articleText - Text the stamp describes: the document, or its H2 section
+ * @returns {{ fields: Object, signed: Object|null, mismatch: boolean }} `signed` holds new signature
+ *   fields; `mismatch` means an existing signature no longer matched and was dropped
+ */
+function signInjectedStamp(stampFields, json, { signer, trustedKeys, articleText }) {
+  const { signStamp, verifyStamp, canonicalPayload, SIGNATURE_FIELDS } = require('./src/signing.cjs');
+  const { stampFieldsFromJSON } = require('./src/parser.cjs');
+  const unsigned = Object.fromEntries(Object.entries(stampFields).filter(([key]) => !SIGNATURE_FIELDS.includes(key)));
+
+  if (signer) {
+    const signed = signStamp(unsigned, { articleText, privateKey: signer.privateKey, keyId: signer.keyId });
+    return { fields: { ...unsigned, ...signed }, signed, mismatch: false };
+  }
+  if (!stampFields.signature) return { fields: stampFields, signed: null, mismatch: false };
+
+  const matches = trustedKeys && Object.prototype.hasOwnProperty.call(trustedKeys, stampFields.key_id)
+    ? verifyStamp(stampFields, { articleText, trustedKeys }).status !== 'forged'
+    : canonicalPayload(stampFields) === canonicalPayload(stampFieldsFromJSON(json, { model: json.model, manifest: json.manifest }));
+  return matches
+    ? { fields: stampFields, signed: null, mismatch: false }
+    : { fields: unsigned, signed: null, mismatch: true };
+}
+
+/**
+ * Record a re-signed stamp's signature (and the manifest it was signed
+ * with) in its .zg.json, so later stamps derived from it stay authentic.
+ *
+ * @param {string} zgPath
+ * @param {Object} json
+ * @param {Object} stampFields - Signed stamp fields
+ */
+function recordSignature(zgPath, json, stampFields) {
+  const updated = {
+    ...json,
+    ...(stampFields.manifest ? { manifest: stampFields.manifest } : {}),
+    content_hash: stampFields.content_hash,
+    key_id: stampFields.key_id,
+    signature: stampFields.signature
+  };
+  if (JSON.stringify(updated) !== JSON.stringify(json)) writeOutput(zgPath, JSON.stringify(updated, null, 2));
+}
+
+/**
+ * Stamp targets for `inject --sections`: the document preamble (before
+ * the first H2) plus every H2 section that has a .zg.json in output/.
+ *
+ * @param {string} text - Document text
+ * @param {string} slug - Document slug
+ * @param {string|null} docZgPath - Document .zg.json, if any
+ * @returns {Array<{ label: string, range: { start: number, end: number }, zgPath: string }>}
+ */
+function sectionInjectTargets(text, slug, docZgPath) {
+  const { splitSections, sectionFileSlug } = require('./src/sections.cjs');
+  const sections = splitSections(text);
+  const targets = [];
+
+  if (docZgPath) {
+    const preambleEnd = sections.length > 0 ? sections[0].start : text.length;
+    targets.push({ label: 'document', range: { start: 0, end: preambleEnd }, zgPath: docZgPath });
+  }
+
+  for (const section of sections) {
+    const zgPath = path.join(OUTPUT_DIR, `${sectionFileSlug(slug, section.slug)}.zg.json`);
+    if (!fs.existsSync(zgPath)) {
+      console.error(`[zerogravity] No .zg.json for section "${section.heading}" (${path.relative(process.cwd(), zgPath)}), skipping`);
+      continue;
+    }
+    targets.push({ label: `section "${section.heading}"`, range: section, zgPath });
+  }
+
+  return targets;
+}
+
+async function cmdInject(args) {
+  const { parseZG, formatStamp, formatStampWithHeader, formatStampScript } = require('./src/parser.cjs');
+  const { injectStamp, injectStampInRange, INJECT_POSITIONS } = require('./src/inject.cjs');
+
+  if (!INJECT_POSITIONS.includes(args.position)) {
+    console.error(`Error: --position must be one of ${INJECT_POSITIONS.join(', ')} (got "${args.position}")`);
+    process.exit(1);
+  }
+
+  const text = readInput(args.input);
+  const slug = path.basename(args.input, path.extname(args.input));
+  const zgPath = args.zg ? path.resolve(args.zg) : path.join(OUTPUT_DIR, `${slug}.zg.json`);
+  const outPath = args.output || args.input;
+  const signer = getSigner(args);
+  const trustedKeys = args.keys || process.env.ZEROGRAVITY_TRUSTED_KEYS ? loadTrustedKeys(args.keys) : null;
+  // HTML pages carry the stamp as a script tag
+  const format = /\.html?$/i.test(args.input) ? formatStampScript : formatStampWithHeader;
+
+  if (args.sections) {
+    const targets = sectionInjectTargets(text, slug, fs.existsSync(zgPath) ? zgPath : null);
+    if (targets.length === 0) {
+      console.error(`[zerogravity] No .zg.json files found for ${args.input} or its sections`);
+      process.exit(1);
+    }
+
+    // Work from the end so earlier ranges keep their offsets
+    let result = text;
+    const stale = [];
+    for (const target of targets.slice().reverse()) {
+      const json = JSON.parse(fs.readFileSync(target.zgPath, 'utf-8'));
+      const existing = parseZG(result.slice(target.range.start, target.range.end));
+      // Section stamps are signed over their section, the document stamp over everything
+      const articleText = target.label === 'document' ? result : result.slice(target.range.start, target.range.end);
+      const { fields: stampFields, signed, mismatch } = signInjectedStamp(
+        injectStampFields(json, existing, args), json, { signer, trustedKeys, articleText }
+      );
+
+      if (args.check) {
+        if (mismatch) {
+          stale.push(`${target.label}: signature no longer matches the stamp fields`);
+        } else if (!existing || formatStamp(existing.fields) !== formatStamp(stampFields)) {
+          stale.push(`${target.label}: ${existing ? 'stale' : 'no stamp found'}`);
+        }
+        continue;
+      }
+      if (mismatch) {
+        console.error(`[zerogravity] ${target.label}: fields differ from what was signed; signature dropped (pass --sign-key to re-sign)`);
+      }
+      if (signed) recordSignature(target.zgPath, json, stampFields);
+      result = injectStampInRange(result, target.range, format(stampFields)).text;
+    }
+
+    if (args.check) {
+      for (const line of stale.reverse()) console.error(`[zerogravity] ${args.input}: ${line}`);
+      if (stale.length > 0) process.exit(1);
+      console.error(`[zerogravity] ${args.input}: ${targets.length} stamps up to date`);
+      return;
+    }
+
+    if (result === text && outPath === args.input) {
+      console.error(`[zerogravity] ${args.input}: stamps already up to date`);
+      return;
+    }
+    writeOutput(outPath, result);
+    console.error(`[zerogravity] ${targets.length} stamps written`);
+    return;
+  }
+
+  if (!fs.existsSync(zgPath)) {
+    console.error(`[zerogravity] No .zg.json found at ${zgPath} (use --zg <path>)`);
+    process.exit(1);
+  }
+  const json = JSON.parse(fs.readFileSync(zgPath, 'utf-8'));
+  const existing = parseZG(text);
+  const { fields: stampFields, signed, mismatch } = signInjectedStamp(
+    injectStampFields(json, existing, args), json, { signer, trustedKeys, articleText: text }
+  );
+
+  if (args.check) {
+    if (!existing) {
+      console.error(`[zerogravity] ${args.input}: no stamp found`);
+      process.exit(1);
+    }
+    if (mismatch) {
+      console.error(`[zerogravity] ${args.input}: signature no longer matches the stamp fields (pass --sign-key to re-sign)`);
+      process.exit(1);
+    }
+    if (formatStamp(existing.fields) !== formatStamp(stampFields)) {
+      console.error(`[zerogravity] ${args.input}: stamp is stale relative to ${path.relative(process.cwd(), zgPath)}`);
+      process.exit(1);
+    }
+    console.error(`[zerogravity] ${args.input}: stamp is up to date`);
+    return;
+  }
+
+  if (mismatch) {
+    console.error(`[zerogravity] ${args.input}: stamp fields differ from what was signed; signature dropped (pass --sign-key to re-sign)`);
+  }
+  if (signed) recordSignature(zgPath, json, stampFields);
+
+  const result = injectStamp(text, format(stampFields), { position: args.position });
+
+  if (!result.changed && outPath === args.input) {
+    console.error(`[zerogravity] ${args.input}: stamp already up to date`);
+    return;
+  }
+
+  writeOutput(outPath, result.text);
+  console.error(`[zerogravity] Stamp ${result.replaced ? 'replaced' : `added at ${args.position}`}`);
+}
+
+// ─── PARSE command ───────────────────────────────────────────────
+
+/**
+ * Print one parsed stamp in human-readable form.
+ *
+ * @param {Object} result - parseZG() result
+ */
+function printParsedStamp(result) {
+  for (const [key, value] of Object.entries(result.fields)) {
+    if (Array.isArray(value)) {
+      console.error(`  ${key}: [${value.length} items]`);
+      for (const item of value) {
+        console.error(`    - ${item}`);
+      }
+    } else {
+      console.error(`  ${key}: ${value}`);
+    }
+  }
+
+  console.error('');
+  if (result.validation.valid) {
+    console.error('  Status: VALID');
+  } else {
+    console.error('  Status: INVALID');
+    for (const err of result.validation.errors) {
+      console.error(`    - ${err}`);
+    }
+  }
+  for (const warning of result.validation.warnings || []) {
+    console.error(`  Warning: ${warning}`);
+  }
+}
+
+// ─── SCAN command ────────────────────────────────────────────────
+
+async function cmdScan(args) {
+  if (!args.url) {
+    console.error('Error: --url <url> is required');
+    process.exit(1);
+  }
+  const { scanUrl } = require('./src/scan.cjs');
+
+  console.error(`[zerogravity] Scanning ${args.url}...`);
+  const { url, findings } = await scanUrl(args.url);
+
+  if (args.json) {
+    console.log(JSON.stringify({ url, findings }, null, 2));
+  } else if (findings.length === 0) {
+    console.error('[zerogravity] No Zero Gravity stamp found');
+  } else {
+    for (const finding of findings) {
+      console.error(`\n[zerogravity] ${finding.kind} (${finding.source}) at ${finding.url}`);
+      if (finding.kind === 'stamp') {
+        printParsedStamp(finding);
+        continue;
+      }
+      if (finding.fields.title) console.error(`  title: ${finding.fields.title}`);
+      if (finding.kind === 'manifest' && Array.isArray(finding.fields.embeddings)) {
+        for (const e of finding.fields.embeddings) {
+          console.error(`  embedding: ${e.provider} ${e.model} (${e.dimensions} dimensions)`);
+        }
+      }
+      console.error(`  Status: ${finding.validation.valid ? 'VALID' : 'INVALID'}`);
+      for (const err of finding.validation.errors) console.error(`    - ${err}`);
+      for (const warning of finding.validation.warnings) console.error(`  Warning: ${warning}`);
+    }
+  }
+
+  if (!findings.some(f => f.validation.valid && f.kind !== 'manifest')) process.exit(1);
+}
+
+async function cmdParse(args) {
+  const text = readInput(args.input);
+  const { parseZG, parseAllZG } = require('./src/parser.cjs');
+
+  const results = args.all ? parseAllZG(text) : [parseZG(text)].filter(Boolean);
+
+  if (results.length === 0) {
+    console.error('[zerogravity] No Zero Gravity stamp found in input');
+    process.exit(1);
+  }
+
+  const toJSON = result => ({
+    version: result.version,
+    fields: result.fields,
+    start: result.start,
+    end: result.end,
+    validation: result.validation
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(args.all ? results.map(toJSON) : toJSON(results[0]), null, 2));
+    return;
+  }
+
+  // Human-readable output
+  if (!args.all) {
+    console.error(`[zerogravity] Zero Gravity v${results[0].version} stamp found\n`);
+    printParsedStamp(results[0]);
+    return;
+  }
+
+  console.error(`[zerogravity] ${results.length} Zero Gravity stamps found`);
+  results.forEach((result, idx) => {
+    console.error(`\n[${idx + 1}] v${result.version} stamp at characters ${result.start}-${result.end}\n`);
+    printParsedStamp(result);
+  });
+}
+
+// ─── VERIFY command ──────────────────────────────────────────────
+
+/**
+ * Load trusted public keys: a JSON object mapping key_id to PEM public key.
+ *
+ * @param {string|null} keysPath - --keys, else ZEROGRAVITY_TRUSTED_KEYS, else ./trusted-keys.json
+ * @returns {Object<string, string>}
+ */
+function loadTrustedKeys(keysPath) {
+  const resolved = path.resolve(keysPath || process.env.ZEROGRAVITY_TRUSTED_KEYS || 'trusted-keys.json');
+  if (!fs.existsSync(resolved)) {
+    console.error(`Trusted keys file not found: ${resolved} (use --keys <path>)`);
+    process.exit(1);
+  }
+  return JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+}
+
+async function cmdVerify(args) {
+  const text = readInput(args.input);
+  const { parseZG, parseAllZG } = require('./src/parser.cjs');
+  const { verifyStamp } = require('./src/signing.cjs');
+  const { sectionAt } = require('./src/sections.cjs');
+
+  const stamps = args.all ? parseAllZG(text) : [parseZG(text)].filter(Boolean);
+  if (stamps.length === 0) {
+    console.error('[zerogravity] No Zero Gravity stamp found in input');
+    process.exit(1);
+  }
+
+  const trustedKeys = loadTrustedKeys(args.keys);
+  // Section stamps are signed over their own H2 section (generate --sections)
+  const results = stamps.map(stamp => {
+    const section = sectionAt(text, stamp.start);
+    return {
+      title: stamp.fields.title,
+      start: stamp.start,
+      ...(section ? { section: section.heading } : {}),
+      ...verifyStamp(stamp.fields, { articleText: text, sectionText: section ? section.text : null, trustedKeys })
+    };
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(args.all ? results : results[0], null, 2));
+  } else {
+    for (const r of results) {
+      const scope = r.scope === 'section' ? `, section "${r.section}"` : '';
+      console.error(`[zerogravity] ${r.status.toUpperCase()}: "${r.title}"${r.key_id ? ` (key ${r.key_id}${scope})` : ''}`);
+      for (const reason of r.reasons) console.error(`  - ${reason}`);
+    }
+  }
+
+  if (results.some(r => r.status !== 'authentic')) process.exit(1);
+}
+
+async function cmdKeygen(args) {
+  if (!args.keyId) {
+    console.error('Error: --key-id <id> is required');
+    process.exit(1);
+  }
+  const { generateKeyPair } = require('./src/signing.cjs');
+  const { privateKey, publicKey } = generateKeyPair();
+
+  const dir = path.resolve(args.output || '.');
+  const privatePath = path.join(dir, `${args.keyId}.key.pem`);
+  if (fs.existsSync(privatePath)) {
+    console.error(`Refusing to overwrite existing key: ${privatePath}`);
+    process.exit(1);
+  }
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(privatePath, privateKey, { mode: 0o600 });
+  writeOutput(path.join(dir, `${args.keyId}.pub.pem`), publicKey);
+  console.error(`Written to: ${privatePath} (keep this private)`);
+
+  console.error('[zerogravity] Add this entry to the trusted keys file agents verify against:');
+  console.log(JSON.stringify({ [args.keyId]: publicKey }, null, 2));
+}
+
+// ─── LINT command ────────────────────────────────────────────────
+
+/**
+ * What `lint` should check: every .zg.json in a directory, one .zg.json,
+ * or the stamps in a document. The article text comes from --article, the
+ * document itself (stamps removed), or a fetched copy in raw/{slug}.md.
+ *
+ * @param {Object} args
+ * @returns {Array<{ file: string, kind: 'stamp'|'json', fields: Object, articleText: string|null }>}
+ */
+function lintTargets(args) {
+  const { removeStamps } = require('./src/inject.cjs');
+  const readArticle = file => (file && fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null);
+  const rawArticle = (dir, slug) => readArticle(path.join(dir, 'raw', `${slug}.md`));
+  const resolved = args.input && path.resolve(args.input);
+  if (resolved && fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+    // One article cannot stand in for every file in the directory
+    if (args.article) {
+      console.error('Error: --article only applies to a single file; each .zg.json in a directory is checked against raw/<slug>.md');
+      process.exit(1);
+    }
+    const { loadCorpus, corpusSlug } = require('./src/corpus.cjs');
+    return loadCorpus(resolved).map(({ file, json }) => ({
+      file,
+      kind: 'json',
+      fields: json,
+      articleText: rawArticle(resolved, corpusSlug(file))
+    }));
+  }
+
+  const explicit = args.article ? readInput(args.article) : null;
+
+  const text = readInput(args.input);
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // Not JSON: a document with stamps
+  }
+
+  if (json) {
+    const { corpusSlug } = require('./src/corpus.cjs');
+    return [{ file: resolved, kind: 'json', fields: json, articleText: explicit || rawArticle(path.dirname(resolved), corpusSlug(resolved)) }];
+  }
+
+  const { parseZG, parseAllZG } = require('./src/parser.cjs');
+  const stamps = args.all ? parseAllZG(text) : [parseZG(text)].filter(Boolean);
+  if (stamps.length === 0) {
+    console.error('[zerogravity] No Zero Gravity stamp found in input');
+    process.exit(1);
+  }
+  const articleText = explicit || removeStamps(text);
+  return stamps.map(stamp => ({ file: resolved, kind: 'stamp', fields: stamp.fields, articleText }));
+}
+
+async function cmdLint(args) {
+  const { lintFields } = require('./src/lint.cjs');
+  const targets = lintTargets(args);
+  if (targets.length === 0) {
+    console.error(`[zerogravity] No .zg.json files found in ${path.resolve(args.input)}`);
+    process.exit(1);
+  }
+  const multiple = args.all || targets.length !== 1;
+
+  const results = targets.map(({ file, kind, fields, articleText }) => ({
+    file,
+    title: fields.title || null,
+    ...lintFields(fields, { kind, articleText })
+  }));
+
+  if (args.json) {
+    console.log(JSON.stringify(multiple ? results : results[0], null, 2));
+  } else {
+    for (const r of results) {
+      const kinds = `${r.kinds.key_phrase} key phrases, ${r.kinds.argument} arguments, ${r.kinds.snippet} snippets`;
+      console.error(`[zerogravity] ${r.file}: "${r.title}" — score ${r.score}/100 (${kinds})`);
+      for (const f of r.findings) {
+        const where = f.field ? `${f.field}[${f.index}] "${f.entry}": ` : '';
+        console.error(`  ${f.severity.padEnd(7)} ${f.rule.padEnd(9)} ${where}${f.message}`);
+      }
+    }
+  }
+
+  const failing = results.flatMap(r => r.findings)
+    .filter(f => f.severity === 'error' || (args.strict && f.severity === 'warning'));
+  if (failing.length > 0) process.exit(1);
+}
+
+// ─── VALIDATE command ────────────────────────────────────────────
+
+async function cmdValidate(args) {
+  if (args.schema) {
+    const { STAMP_SCHEMA, FULL_JSON_SCHEMA } = require('./src/schemas.cjs');
+    const schemas = { stamp: STAMP_SCHEMA, json: FULL_JSON_SCHEMA };
+    if (!schemas[args.schema]) {
+      console.error(`Error: --schema must be stamp or json (got "${args.schema}")`);
+      process.exit(1);
+    }
+    const text = JSON.stringify(schemas[args.schema], null, 2) + '\n';
+    if (args.output) writeOutput(args.output, text);
+    else process.stdout.write(text);
+    return;
+  }
+
+  if (!args.input) {
+    console.error('Error: --input <directory or file> is required');
+    process.exit(1);
+  }
+  const { listTargets, validateFile, summarize, formatReport, REPORT_FORMATS } = require('./src/validate.cjs');
+  const format = args.json ? 'json' : args.format || 'text';
+  if (!REPORT_FORMATS.includes(format)) {
+    console.error(`Error: --format must be one of ${REPORT_FORMATS.join(', ')} (got "${format}")`);
+    process.exit(1);
+  }
+
+  let files;
+  try {
+    files = listTargets(args.input);
+  } catch (e) {
+    console.error(`[zerogravity] ${e.message}`);
+    process.exit(1);
+  }
+  if (files.length === 0) {
+    console.error(`[zerogravity] No .md, .html or .zg.json files found in ${path.resolve(args.input)}`);
+    process.exit(1);
+  }
+
+  const results = files.map(file => ({
+    ...validateFile(file, fs.readFileSync(file, 'utf-8'), { requireStamp: args.requireStamp }),
+    file: path.relative(process.cwd(), file) || file
+  }));
+  const report = formatReport(results, format);
+  if (args.output) writeOutput(args.output, report);
+  else process.stdout.write(report);
+
+  if (summarize(results).failed > 0) process.exit(1);
+}
+
+// ─── MIGRATE command ─────────────────────────────────────────────
+
+async function cmdMigrate(args) {
+  const text = readInput(args.input);
+  const { parseAllZG, formatStamp, formatStampScript } = require('./src/parser.cjs');
+  const { migrate, CURRENT_VERSION } = require('./src/versions.cjs');
+  const to = args.to || CURRENT_VERSION;
+
+  let isJSON = true;
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    isJSON = false;
+  }
+
+  const reports = [];
+  let output;
+
+  if (isJSON) {
+    const result = migrate(json, { kind: 'json', to });
+    reports.push({ target: 'full JSON', ...result });
+    if (result.doc) output = JSON.stringify(result.doc, null, 2);
+  } else {
+    const stamps = parseAllZG(text);
+    if (stamps.length === 0) {
+      console.error('[zerogravity] No Zero Gravity stamp or JSON found in input');
+      process.exit(1);
+    }
+
+    // Replace from the end so earlier offsets stay valid
+    output = text;
+    for (const [idx, stamp] of [...stamps.entries()].reverse()) {
+      const result = migrate(stamp.fields, { kind: 'stamp', to });
+      reports.unshift({ target: `stamp ${idx + 1}`, ...result });
+      if (!result.doc) continue;
+      const isScript = stamp.raw.startsWith('<');
+      const formatted = isScript ? formatStampScript(result.doc, to) : formatStamp(result.doc, to);
+      output = output.slice(0, stamp.start) + formatted + output.slice(stamp.end);
+    }
+  }
+
+  const failed = reports.filter(r => r.errors.length > 0);
+
+  if (args.json) {
+    console.log(JSON.stringify(reports.map(({ doc, ...r }) => r), null, 2));
+  } else {
+    for (const r of reports) {
+      console.error(`[zerogravity] ${r.target}: ${r.from} → ${r.to}`);
+      for (const err of r.errors) console.error(`  ERROR: ${err}`);
+      if (r.dropped.length > 0) console.error(`  Dropped: ${r.dropped.join(', ')}`);
+      if (r.synthesized.length > 0) console.error(`  Synthesized: ${r.synthesized.join(', ')}`);
+    }
+  }
+
+  if (failed.length > 0) process.exit(1);
+
+  const outPath = args.output || args.input;
+  if (output === text && outPath === args.input) {
+    console.error(`[zerogravity] ${args.input}: already at version ${to}`);
+    return;
+  }
+  writeOutput(outPath, output);
+}
+
+// ─── EMBED command ───────────────────────────────────────────────
+
+async function cmdEmbed(args) {
+  const text = readInput(args.input);
+  const { embed, buildFullJSON } = require('./src/embedder.cjs');
+
+  // Input can be either a .zg.json file or a document with a stamp
+  let fields;
+  try {
+    const json = JSON.parse(text);
+    // It's a JSON file — use the fields directly
+    const { embedding, encoding, version, created_at, ...rest } = json;
+    fields = rest;
+  } catch {
+    // Not JSON — try to parse as a document with a stamp
+    const { parseZG } = require('./src/parser.cjs');
+    const result = parseZG(text);
+    if (!result) {
+      console.error('[zerogravity] No Zero Gravity stamp or JSON found in input');
+      process.exit(1);
+    }
+    fields = {
+      title: result.fields.title,
+      intent: result.fields.intent
+    };
+    console.error('[zerogravity] WARNING: Stamp has limited fields. For best embeddings, use the full .zg.json file as input.');
+  }
+
+  const { meterEmbedder } = require('./src/usage.cjs');
+  const embedder = meterEmbedder(getEmbeddingProvider(args.provider), getMeter(args), {
+    source: args.input ? path.basename(args.input).replace(/\.zg\.json$|\.json$|\.[^.]+$/, '') : null
+  });
+  console.error('[zerogravity] Generating embedding...');
+  const embeddingResult = await embed(embedder, { fields, cache: getCache(args) });
+
+  const fullJSON = buildFullJSON({ fields, embedding: embeddingResult });
+  const jsonStr = JSON.stringify(fullJSON, null, 2);
+
+  if (args.output) {
+    writeOutput(args.output, jsonStr);
+  } else {
+    console.log(jsonStr);
+  }
+
+  console.error(`[zerogravity] Embedding: ${embeddingResult.dimensions} dimensions, model: ${embeddingResult.model}`);
+}
+
+// ─── MANIFEST command ────────────────────────────────────────────
+
+async function cmdManifest(args) {
+  const text = readInput(args.input);
+  const { embed, buildManifest } = require('./src/embedder.cjs');
+  const { meterEmbedder } = require('./src/usage.cjs');
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    console.error('[zerogravity] manifest expects a .zg.json file as --input');
+    process.exit(1);
+  }
+
+  const names = args.provider.split(',').map(n => n.trim()).filter(Boolean);
+  const slug = path.basename(args.input).replace(/\.zg\.json$|\.json$/, '');
+  const embeddings = [];
+  for (const name of names) {
+    const embedder = meterEmbedder(getEmbeddingProvider(name), getMeter(args), { source: slug });
+    console.error(`[zerogravity] Embedding with ${name} (${embedder.model})...`);
+    const result = await embed(embedder, { fields: json, cache: getCache(args) });
+    embeddings.push({ provider: name, ...result });
+  }
+
+  const manifest = buildManifest({ fields: json, embeddings });
+  ensureOutputDirs();
+  const manifestPath = args.output || path.join(OUTPUT_DIR, `${slug}.manifest.json`);
+  writeOutput(manifestPath, JSON.stringify(manifest, null, 2));
+
+  // Record the published URL so stamps derived from this .zg.json carry it
+  if (args.manifest) {
+    if (json.signature && json.manifest !== args.manifest) {
+      // manifest is a signed stamp field; a stale signature would read as forged
+      const { SIGNATURE_FIELDS } = require('./src/signing.cjs');
+      for (const key of SIGNATURE_FIELDS) delete json[key];
+      console.error('[zerogravity] Warning: the manifest URL is signed; signature removed. Re-sign with inject --sign-key');
+    }
+    json.manifest = args.manifest;
+    writeOutput(args.input, JSON.stringify(json, null, 2));
+    console.error(`[zerogravity] manifest: ${args.manifest}`);
+  }
+
+  console.error(`[zerogravity] Manifest: ${embeddings.length} providers (${names.join(', ')})`);
+}
+
+// ─── SEARCH command ──────────────────────────────────────────────
+
+async function cmdSearch(args) {
+  if (!args.query) {
+    console.error('Error: --query <text> is required');
+    process.exit(1);
+  }
+
+  const { loadCorpus } = require('./src/corpus.cjs');
+  const { searchCorpus, DEFAULT_TOP_K } = require('./src/search.cjs');
+  const { embedQuery } = require('./src/embedder.cjs');
+
+  const dir = args.dir ? path.resolve(args.dir) : OUTPUT_DIR;
+  const corpus = loadCorpus(dir).filter(entry => entry.json.embedding);
+  if (corpus.length === 0) {
+    console.error(`[zerogravity] No embedded .zg.json files found in ${dir}`);
+    console.error('[zerogravity] Run generate with --embed, or embed existing files first.');
+    process.exit(1);
+  }
+
+  const { meterEmbedder } = require('./src/usage.cjs');
+  const embedder = meterEmbedder(getEmbeddingProvider(args.provider), getMeter(args));
+  console.error(`[zerogravity] Embedding query, searching ${corpus.length} files...`);
+  const embedding = await embedQuery(embedder, { query: args.query });
+
+  const { results, searched, skipped } = searchCorpus(corpus, {
+    query: args.query,
+    embedding,
+    topK: args.top > 0 ? args.top : DEFAULT_TOP_K
+  });
+
+  for (const { file, reason } of skipped) {
+    console.error(`[zerogravity] Skipped ${path.basename(file)}: ${reason}`);
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify({
+      query: args.query,
+      model: embedding.model,
+      dimensions: embedding.dimensions,
+      searched,
+      results: results.map(r => ({ ...r, file: path.relative(process.cwd(), r.file) }))
+    }, null, 2));
+    return;
+  }
+
+  if (results.length === 0) {
+    console.error(`[zerogravity] No comparable embeddings (query uses ${embedding.model}/${embedding.dimensions})`);
+    process.exit(1);
+  }
+
+  console.error('');
+  results.forEach((r, idx) => {
+    console.log(`${idx + 1}. [${r.score.toFixed(4)}] ${r.title}`);
+    console.log(`   ${r.intent}`);
+    for (const entry of r.metaindex) {
+      console.log(`   - ${entry}`);
+    }
+    console.log(`   ${path.relative(process.cwd(), r.file)}`);
+  });
+}
+
+// ─── CLUSTER command ─────────────────────────────────────────────
+
+/**
+ * Check an optional similarity threshold flag.
+ *
+ * @param {number|null} value
+ * @param {string} flag
+ * @param {number} fallback
+ * @returns {number}
+ */
+function similarityThreshold(value, flag, fallback) {
+  if (value === null) return fallback;
+  if (!(value > 0 && value <= 1)) {
+    console.error(`Error: ${flag} must be a number in (0, 1]`);
+    process.exit(1);
+  }
+  return value;
+}
+
+async function cmdCluster(args) {
+  const { loadCorpus, corpusSlug } = require('./src/corpus.cjs');
+  const {
+    findDuplicates, clusterCorpus, DEFAULT_DUPLICATE_THRESHOLD, DEFAULT_CLUSTER_THRESHOLD
+  } = require('./src/cluster.cjs');
+
+  const dir = args.dir ? path.resolve(args.dir) : OUTPUT_DIR;
+  const threshold = similarityThreshold(args.threshold, '--threshold', DEFAULT_DUPLICATE_THRESHOLD);
+  const clusterThreshold = similarityThreshold(args.clusterThreshold, '--cluster-threshold', DEFAULT_CLUSTER_THRESHOLD);
+
+  const corpus = loadCorpus(dir);
+  if (corpus.length === 0) {
+    console.error(`[zerogravity] No .zg.json files found in ${dir}`);
+    process.exit(1);
+  }
+
+  const summary = ({ file, json }) => ({
+    id: json.id || null,
+    slug: corpusSlug(file),
+    title: json.title || null,
+    source_url: json.source_url || null
+  });
+  const idOf = entry => entry.json.id || corpusSlug(entry.file);
+
+  console.error(`[zerogravity] Comparing ${corpus.length} stamps...`);
+  const groups = findDuplicates(corpus, { threshold });
+  const duplicateFiles = new Set(groups.flatMap(g => g.duplicates.map(d => d.entry.file)));
+
+  // Copies marked by an earlier --dedupe run are left out of the topics too
+  const { clusters, unclustered } = clusterCorpus(
+    corpus.filter(entry => !duplicateFiles.has(entry.file) && !entry.json.duplicate_of),
+    { threshold: clusterThreshold }
+  );
+
+  const report = {
+    generated_at: new Date().toISOString(),
+    dir,
+    stamps: corpus.length,
+    threshold,
+    cluster_threshold: clusterThreshold,
+    duplicates: groups.map(({ canonical, duplicates, related }) => ({
+      canonical: summary(canonical),
+      duplicates: duplicates.map(({ entry, similarity, method }) => ({
+        ...summary(entry),
+        similarity: Number(similarity.toFixed(4)),
+        method
+      })),
+      related: related.map(({ entry, similarity, via }) => ({
+        ...summary(entry),
+        similarity: similarity === null ? null : Number(similarity.toFixed(4)),
+        via: corpusSlug(via.file)
+      }))
+    })),
+    clusters: clusters.map(({ label, space, members }) => ({
+      label,
+      size: members.length,
+      embedding: space,
+      members: members.map(summary)
+    })),
+    unclustered: unclustered.map(({ entry, reason }) => ({ ...summary(entry), reason }))
+  };
+
+  if (args.dedupe) {
+    for (const { canonical, duplicates } of groups) {
+      if (args.dedupe === 'merge') {
+        const merged = Array.isArray(canonical.json.duplicates) ? canonical.json.duplicates.slice() : [];
+        for (const { entry } of duplicates) {
+          merged.push({ id: idOf(entry), ...(entry.json.source_url ? { source_url: entry.json.source_url } : {}) });
+          fs.unlinkSync(entry.file);
+          console.error(`Removed: ${entry.file}`);
+        }
+        canonical.json.duplicates = merged;
+        writeOutput(canonical.file, JSON.stringify(canonical.json, null, 2));
+      } else {
+        for (const { entry } of duplicates) {
+          if (entry.json.duplicate_of === idOf(canonical)) continue;
+          entry.json.duplicate_of = idOf(canonical);
+          writeOutput(entry.file, JSON.stringify(entry.json, null, 2));
+        }
+      }
+    }
+  }
+
+  writeOutput(args.output || path.join(dir, 'cluster-report.json'), JSON.stringify(report, null, 2));
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const copies = groups.reduce((n, g) => n + g.duplicates.length, 0);
+  const relatedCount = groups.reduce((n, g) => n + g.related.length, 0);
+  console.error(`[zerogravity] ${copies} near-duplicate(s) in ${groups.length} group(s); ${clusters.length} topic cluster(s)`);
+  if (relatedCount > 0) {
+    console.error(`[zerogravity] ${relatedCount} stamp(s) only resemble another copy, not the canonical; left untouched`);
+  }
+  for (const { canonical, duplicates, related } of report.duplicates) {
+    console.log(`Duplicates of ${canonical.slug} ("${canonical.title}"):`);
+    for (const d of duplicates) console.log(`   [${d.similarity.toFixed(4)} ${d.method}] ${d.slug}`);
+    for (const r of related) {
+      console.log(`   [related via ${r.via}${r.similarity === null ? '' : `, ${r.similarity.toFixed(4)} to canonical`}] ${r.slug}`);
+    }
+  }
+  for (const cluster of report.clusters) {
+    console.log(`[${cluster.size}] ${cluster.label.join(' · ')}`);
+    for (const member of cluster.members) console.log(`   ${member.slug}`);
+  }
+  if (unclustered.length > 0) {
+    console.error(`[zerogravity] ${unclustered.length} stamp(s) without an embedding were not clustered`);
+  }
+}
+
+// ─── EXPORT command ──────────────────────────────────────────────
+
+async function cmdExport(args) {
+  const { loadCorpus } = require('./src/corpus.cjs');
+  const { loadBatchState, saveBatchState } = require('./src/batch.cjs');
+  const {
+    toRecord, fingerprint, filterRecords, formatRecords, EXPORT_FORMATS, DEFAULT_TABLE
+  } = require('./src/export.cjs');
+
+  const format = args.format || 'jsonl';
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.error(`Error: --format must be one of ${EXPORT_FORMATS.join(', ')} (got "${format}")`);
+    process.exit(1);
+  }
+
+  const dir = args.dir ? path.resolve(args.dir) : OUTPUT_DIR;
+  const corpus = loadCorpus(dir);
+  if (corpus.length === 0) {
+    console.error(`[zerogravity] No .zg.json files found in ${dir}`);
+    process.exit(1);
+  }
+
+  const records = filterRecords(corpus.map(toRecord), {
+    author: args.author,
+    embeddingModel: args.embeddingModel,
+    hasVector: args.hasVector
+  });
+
+  // Incremental: one fingerprint map per format and destination
+  const statePath = path.join(dir, 'export-state.json');
+  const state = loadBatchState(statePath);
+  const key = `${format}:${args.output ? path.resolve(args.output) : 'stdout'}`;
+  const previous = (state.items[key] && state.items[key].records) || {};
+  const changed = args.force ? records : records.filter(r => previous[r.slug] !== fingerprint(r));
+
+  console.error(`[zerogravity] ${records.length} matching stamp(s), ${changed.length} new or changed since the last ${format} export`);
+  if (changed.length === 0) return;
+
+  let output;
+  try {
+    output = formatRecords(changed, format, { table: args.table || DEFAULT_TABLE });
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (args.output) {
+    writeOutput(args.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  const exported = { ...previous };
+  for (const record of changed) exported[record.slug] = fingerprint(record);
+  state.items[key] = { exported_at: new Date().toISOString(), records: exported };
+  saveBatchState(statePath, state);
+}
+
+// ─── INDEX command ───────────────────────────────────────────────
+
+async function cmdIndex(args) {
+  const { collectEntries, buildIndexPages, DEFAULT_PAGE_SIZE, INDEX_PATH } = require('./src/siteindex.cjs');
+
+  const dir = path.resolve(args.input || args.dir || OUTPUT_DIR);
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    console.error(`Error: --input must be a directory of stamped articles or .zg.json files (got ${dir})`);
+    process.exit(1);
+  }
+  if (args.baseUrl) {
+    try {
+      if (!/^https?:$/.test(new URL(args.baseUrl).protocol)) throw new Error('not http(s)');
+    } catch {
+      console.error(`Error: --base-url must be an http(s) URL (got "${args.baseUrl}")`);
+      process.exit(1);
+    }
+  }
+  if (args.pageSize !== null && !(args.pageSize > 0)) {
+    console.error('Error: --page-size must be a positive number');
+    process.exit(1);
+  }
+
+  const { entries, skipped } = collectEntries(dir, { baseUrl: args.baseUrl });
+  for (const { file, reason } of skipped) {
+    console.error(`[zerogravity] Skipped ${path.relative(process.cwd(), file)}: ${reason}`);
+  }
+  if (entries.length === 0) {
+    console.error(`[zerogravity] No stamped articles with a URL found in ${dir}`);
+    process.exit(1);
+  }
+
+  const pages = buildIndexPages(entries, { pageSize: args.pageSize || DEFAULT_PAGE_SIZE, baseUrl: args.baseUrl });
+  const root = path.resolve(args.output || OUTPUT_DIR);
+  for (const { path: pagePath, json } of pages) {
+    writeOutput(path.join(root, pagePath), JSON.stringify(json, null, 2));
+  }
+
+  // Pages left over from a larger index would point past the end
+  const pageDir = path.join(root, INDEX_PATH.replace(/\.json$/, ''));
+  if (fs.existsSync(pageDir)) {
+    for (const name of fs.readdirSync(pageDir)) {
+      const match = name.match(/^page-(\d+)\.json$/);
+      if (match && parseInt(match[1], 10) > pages.length) {
+        fs.unlinkSync(path.join(pageDir, name));
+        console.error(`[zerogravity] Removed stale ${path.join(pageDir, name)}`);
+      }
+    }
+  }
+
+  console.error(`[zerogravity] Site index: ${entries.length} article${entries.length === 1 ? '' : 's'} in ${pages.length} page${pages.length === 1 ? '' : 's'}`);
+}
+
+// ─── CACHE command ───────────────────────────────────────────────
+
+/**
+ * Human-readable byte count.
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KiB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MiB`;
+}
+
+async function cmdCache(args) {
+  const { parseDuration, CACHE_KINDS } = require('./src/cache.cjs');
+  const cache = getCache({});
+  const action = args.subcommand || 'stats';
+
+  const kind = args.kind || undefined;
+  if (kind && !CACHE_KINDS.includes(kind)) {
+    console.error(`Error: --kind must be one of ${CACHE_KINDS.join(', ')} (got "${kind}")`);
+    process.exit(1);
+  }
+
+  switch (action) {
+    case 'stats': {
+      const stats = cache.stats();
+      if (args.json) {
+        console.log(JSON.stringify(stats, null, 2));
+        return;
+      }
+      console.log(`Cache: ${stats.dir}`);
+      for (const [name, s] of Object.entries(stats.kinds)) {
+        const oldest = s.oldest ? `, least recently used ${s.oldest}` : '';
+        console.log(`  ${name.padEnd(12)} ${String(s.entries).padStart(6)} entries  ${formatBytes(s.bytes).padStart(10)}${oldest}`);
+      }
+      console.log(`  ${'total'.padEnd(12)} ${String(stats.entries).padStart(6)} entries  ${formatBytes(stats.bytes).padStart(10)}`);
+      return;
+    }
+    case 'prune':
+    case 'clear': {
+      let olderThanMs = 0;
+      if (action === 'prune') {
+        olderThanMs = parseDuration(args.olderThan || '30d');
+        if (olderThanMs === null) {
+          console.error(`Error: --older-than must be a duration like 30d, 12h or 45m (got "${args.olderThan}")`);
+          process.exit(1);
+        }
+      }
+      const { removed, bytes } = cache.prune({ olderThanMs, kind });
+      console.error(`[zerogravity] Removed ${removed} cache entries (${formatBytes(bytes)})`);
+      return;
+    }
+    default:
+      console.error(`Error: unknown cache action "${action}" (expected stats, prune or clear)`);
+      process.exit(1);
+  }
+}
+
+// ─── USAGE command ───────────────────────────────────────────────
+
+async function cmdUsage(args) {
+  const { readLedger, summarizeUsage, USAGE_GROUPS } = require('./src/usage.cjs');
+  const { parseDuration } = require('./src/cache.cjs');
+
+  const groups = args.by ? [args.by] : USAGE_GROUPS;
+  if (args.by && !USAGE_GROUPS.includes(args.by)) {
+    console.error(`Error: --by must be one of ${USAGE_GROUPS.join(', ')} (got "${args.by}")`);
+    process.exit(1);
+  }
+  if (args.kind && !['generation', 'embedding'].includes(args.kind)) {
+    console.error(`Error: --kind must be generation or embedding (got "${args.kind}")`);
+    process.exit(1);
+  }
+  let since = null;
+  if (args.since) {
+    const ms = parseDuration(args.since);
+    since = ms !== null ? Date.now() - ms : Date.parse(args.since);
+    if (Number.isNaN(since)) {
+      console.error(`Error: --since must be a duration like 7d or a date like 2026-01-31 (got "${args.since}")`);
+      process.exit(1);
+    }
+  }
+
+  const ledger = usageLedgerPath();
+  const entries = readLedger(ledger).filter(entry =>
+    (!args.kind || entry.kind === args.kind) && (since === null || Date.parse(entry.at) >= since));
+  const report = {
+    ledger,
+    calls: entries.length,
+    input_tokens: entries.reduce((sum, e) => sum + (e.input_tokens || 0), 0),
+    output_tokens: entries.reduce((sum, e) => sum + (e.output_tokens || 0), 0),
+    cost_usd: Math.round(entries.reduce((sum, e) => sum + (e.cost_usd || 0), 0) * 1e6) / 1e6
+  };
+  for (const by of groups) report[`by_${by}`] = summarizeUsage(entries, by);
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  if (entries.length === 0) {
+    console.error(`[zerogravity] No usage recorded${args.since || args.kind ? ' for these filters' : ''} in ${ledger}`);
+    return;
+  }
+
+  const row = r => `  ${r.key.padEnd(32)} ${String(r.calls).padStart(6)} calls ${String(r.input_tokens).padStart(10)} in ${String(r.output_tokens).padStart(9)} out  $${r.cost_usd.toFixed(4).padStart(9)}${r.unpriced ? `  (${r.unpriced} unpriced)` : ''}`;
+  for (const by of groups) {
+    console.log(`By ${by}`);
+    for (const r of report[`by_${by}`]) console.log(row(r));
+    console.log('');
+  }
+  console.log(row({ key: 'total', ...report, unpriced: entries.filter(e => typeof e.cost_usd !== 'number').length }));
+  console.log('\nCosts are estimates from the price table (ZEROGRAVITY_PRICES overrides it).');
+}
+
+// ─── SERVE command ───────────────────────────────────────────────
+
+async function cmdServe(args) {
+  const { createServer, DEFAULT_PORT, DEFAULT_HOST, DEFAULT_MAX_BODY_BYTES } = require('./src/server.cjs');
+  const { EMBEDDING_PROVIDERS } = require('./src/providers.cjs');
+
+  if (!EMBEDDING_PROVIDERS.includes(args.provider)) {
+    console.error(`Error: --provider must be one of ${EMBEDDING_PROVIDERS.join(', ')} (got "${args.provider}")`);
+    process.exit(1);
+  }
+
+  const port = Number.isInteger(args.port) ? args.port : parseInt(process.env.ZEROGRAVITY_PORT, 10) || DEFAULT_PORT;
+  const host = args.host || process.env.ZEROGRAVITY_HOST || DEFAULT_HOST;
+  const corpusDir = args.dir ? path.resolve(args.dir) : OUTPUT_DIR;
+
+  const server = createServer({
+    corpusDir,
+    backend: args.backend || undefined,
+    model: args.model || undefined,
+    provider: args.provider,
+    maxBodyBytes: args.maxBody > 0 ? args.maxBody : DEFAULT_MAX_BODY_BYTES,
+    meter: getMeter(args),
+    log: msg => console.error(`[serve] ${msg}`)
+  });
+
+  server.on('error', (e) => {
+    console.error(`[zerogravity] Server error: ${e.message}`);
+    process.exit(1);
+  });
+  server.listen(port, host, () => {
+    const address = server.address();
+    console.error(`[zerogravity] Listening on http://${address.address}:${address.port} (corpus: ${corpusDir})`);
+  });
+
+  const shutdown = () => {
+    console.error('[zerogravity] Shutting down');
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// ─── MCP command ─────────────────────────────────────────────────
+
+async function cmdMcp(args) {
+  const { createMcpServer } = require('./src/mcp.cjs');
+  const corpusDir = args.dir ? path.resolve(args.dir) : OUTPUT_DIR;
+
+  console.error(`[zerogravity] MCP server on stdio (corpus: ${corpusDir})`);
+  await createMcpServer({
+    corpusDir,
+    backend: args.backend || undefined,
+    model: args.model || undefined,
+    provider: args.provider,
+    meter: getMeter(args),
+    log: msg => console.error(`[mcp] ${msg}`)
+  });
+}
+
+// ─── HELP ────────────────────────────────────────────────────────
+
+function printHelp() {
+  console.error(`
+  Zero Gravity CLI
+
+  Commands:
+    generate  Generate Zero Gravity fields from an article
+    batch     Generate for a directory, glob, or list of URLs
+    feed      Generate for new entries of an RSS/Atom feed or sitemap.xml
+    inject    Write or replace the stamp inside the source article
+    parse     Parse a Zero Gravity stamp from a document
+    scan      Find and validate the stamps a web page already publishes (no LLM call)
+    verify    Check a signed stamp against trusted keys and its article
+    keygen    Create an Ed25519 key pair for signing stamps
+    lint      Check metaindex quality: duplicates, generic terms, length, quotes not in the article
+    validate  Check every stamp and .zg.json in a directory against the JSON Schemas (text, JSON, JUnit)
+    migrate   Upgrade stamps and .zg.json files between versions
+    embed     Add embedding to a .zg.json file
+    manifest  Write a multi-provider embedding manifest for a .zg.json file
+    search    Semantic search over embedded .zg.json files
+    cluster   Find near-duplicate stamps and group the corpus into topic clusters
+    export    Export the corpus as JSONL, pgvector SQL or CSV, only what changed since last time
+    index     Build /.well-known/zero-gravity.json listing every stamped article on a site (paged)
+    cache     Show or prune the fetch, generation and embedding cache
+    usage     Tokens and estimated cost of model calls, by day, model and source
+    serve     Local HTTP JSON API for parse, validate, generate, embed, search and corpus lookup
+    mcp       MCP server on stdio: parse_stamp, stamp_text, lookup_stamp, list_corpus tools
+
+  Generate:
+    node cli.cjs generate --input article.md
+    node cli.cjs generate --url https://example.com/article
+    node cli.cjs generate --url https://example.com/article --force   Regenerate even if the page already has a valid stamp
+    node cli.cjs generate --input article.md --embed
+    node cli.cjs generate --input article.md --stamp
+    node cli.cjs generate --input article.md --stamp --manifest https://example.com/embed.json
+    node cli.cjs generate --input article.md --output path/to/output.zg.json
+    node cli.cjs generate --input article.md --format html   Stamp as <script type="application/zero-gravity">
+    node cli.cjs generate --input article.md --model claude-opus-4-1
+    node cli.cjs generate --input long.md --sections         Also stamp each H2 section (output/long--{section}.zg.json)
+    node cli.cjs generate --input article.md --backend openai --model gpt-4o
+    node cli.cjs generate --input book.md --chunk-size 30000   Longest text sent in one call (default 60000 chars)
+
+    Longer articles are split on headings and paragraphs, each chunk is distilled into
+    claims and fragments, and a final call merges them into one stamp. The .zg.json then
+    records "generation": { "method": "chunked", "chunks": N, ... }.
+
+    node cli.cjs generate --input article.md --max-attempts 5   Generation calls per article (default 3)
+
+    Output that is not valid JSON or fails validation is sent back to the model with its
+    errors. If no attempt is valid, the one with the fewest errors is written, and the
+    .zg.json's "generation.attempts" lists every attempt's errors.
+
+    node cli.cjs generate --input article.md --budget 0.50   Refuse calls that would take estimated spend over $0.50
+
+  Generation backends (--backend, or ZEROGRAVITY_BACKEND; for generate, batch and feed):
+    anthropic  Anthropic API (ANTHROPIC_API_KEY) — default
+    openai     OpenAI-compatible chat endpoint (OPENAI_API_KEY; ZEROGRAVITY_LLM_BASE_URL for local servers)
+    mock       Offline scripted responses (ZEROGRAVITY_MOCK_RESPONSES=responses.json), for CI
+
+  Batch:
+    node cli.cjs batch --input articles/
+    node cli.cjs batch --input "posts/**/*.md" --embed
+    node cli.cjs batch --input urls.txt --concurrency 5
+    node cli.cjs batch --input articles/ --force        Ignore saved state and re-stamp unchanged inputs
+
+    Progress is saved to output/batch-state.json; re-running resumes where it left off.
+    Files whose content matches the existing .zg.json are skipped. Output is named after the
+    path below the input directory or glob root: posts/a/index.md → output/posts-a-index.zg.json.
+
+  Feed:
+    node cli.cjs feed --url https://example.com/feed.xml          Stamp entries not stamped yet
+    node cli.cjs feed --url https://example.com/sitemap.xml --limit 10   Newest 10 unstamped entries
+    node cli.cjs feed --url https://example.com/atom.xml --list   List entries with their status (--json for agents)
+    node cli.cjs feed --input saved-feed.xml --force              Re-stamp every entry
+
+    Stamped entries are remembered in output/feed-state.json. Entry title, date and
+    author are used when the page itself does not provide them.
+
+  Inject:
+    node cli.cjs inject --input article.md                        Uses output/article.zg.json
+    node cli.cjs inject --input article.md --zg path/to/article.zg.json
+    node cli.cjs inject --input article.md --position top         Default: bottom (existing stamps are replaced in place)
+    node cli.cjs inject --input article.md --check                Exit 1 if the stamp is missing or stale
+    node cli.cjs inject --input long.md --sections                Document stamp before the first H2, one stamp per section
+    node cli.cjs inject --input page.html                         Script tag stamp, before </body> (--position top: </head>)
+    node cli.cjs inject --input article.md --sign-key example.com.key.pem --key-id example.com
+
+    A signed stamp whose fields changed since signing (e.g. a new manifest URL) is re-signed
+    with --sign-key; without a key its signature is dropped, and --check fails on it.
+
+  Parse:
+    node cli.cjs parse --input file-with-stamp.md
+    node cli.cjs parse --input file-with-stamp.md --json
+    node cli.cjs parse --input page.html                     Reads the HTML script tag form too
+    node cli.cjs parse --input digest.md --all               Every stamp in the document, with character offsets
+
+  Scan:
+    node cli.cjs scan --url https://example.com/article
+    node cli.cjs scan --url https://example.com/article --json
+
+    Finds text blocks, <script type="application/zero-gravity"> tags,
+    <link rel="alternate" type="application/zero-gravity+json"> sidecars, and follows
+    manifest URLs. Exits 1 unless a valid stamp or full JSON was found.
+
+  Sign and verify:
+    node cli.cjs keygen --key-id example.com                     Writes example.com.key.pem / .pub.pem
+    node cli.cjs generate --input article.md --sign-key example.com.key.pem --key-id example.com
+    node cli.cjs verify --input article.md --keys trusted-keys.json
+    node cli.cjs verify --input digest.md --all --json
+
+    Signing adds content_hash, key_id and signature to the stamp and .zg.json. Section
+    stamps (generate --sections) hash their own H2 section, the document stamp the whole text.
+    verify reports AUTHENTIC, STALE (article changed), FORGED, UNSIGNED or UNKNOWN-KEY,
+    and exits 1 unless every stamp is authentic.
+
+  Lint:
+    node cli.cjs lint --input article.md                         The article's stamp, checked against its text
+    node cli.cjs lint --input digest.md --all                    Every stamp in the document
+    node cli.cjs lint --input output/article.zg.json --article article.md
+    node cli.cjs lint --input output/ --strict --json            Every .zg.json (article text from output/raw/)
+
+    Rules: valid, duplicate, overlap, generic, length, quote (quoted text not in the article),
+    off-topic (no words shared with the article), mix (key phrases, arguments, snippets).
+    Each stamp gets a score out of 100. Exits 1 on errors; with --strict, on warnings too.
+
+  Validate:
+    node cli.cjs validate --input docs/                          Every stamp in .md/.html files and every .zg.json
+    node cli.cjs validate --input docs/ --format junit --output zg-report.xml
+    node cli.cjs validate --input docs/ --json --require-stamp   Documents without a stamp fail too
+    node cli.cjs validate --schema stamp                         Print the stamp JSON Schema (or json: full JSON)
+
+    Each error names its file, line (stamps in documents) and field path. Exits 1 when any
+    file fails. The schemas are published in spec/schemas/.
+
+  Migrate:
+    node cli.cjs migrate --input output/article.zg.json            Upgrade to the current version, in place
+    node cli.cjs migrate --input article.md --to 0.1               Every stamp in the document
+    node cli.cjs migrate --input article.md --output migrated.md --json
+                                                                   Report dropped/synthesized fields as JSON
+
+  Embed:
     node cli.cjs embed --input output.zg.json --output output-with-embedding.zg.json
 
+  Manifest:
+    node cli.cjs manifest --input output/article.zg.json --provider openai,local,hash
+    node cli.cjs manifest --input output/article.zg.json --manifest https://example.com/article.manifest.json
+                                                          Also records the URL in the .zg.json for stamps
+
+  Embedding providers (--provider, for generate --embed, embed, search, manifest):
+    openai   OpenAI API (OPENAI_API_KEY) — default
+    local    OpenAI-compatible endpoint (ZEROGRAVITY_EMBED_BASE_URL, ZEROGRAVITY_EMBED_MODEL)
+    hash     Deterministic offline hashing embedder, for tests
+
+  Search:
+    node cli.cjs search --query "agent token costs"
+    node cli.cjs search --query "agent token costs" --top 10 --json
+    node cli.cjs search --query "agent token costs" --dir path/to/corpus
+
+  Cluster:
+    node cli.cjs cluster                                 Report near-duplicates and topics in ./output/
+    node cli.cjs cluster --threshold 0.9 --cluster-threshold 0.7 --dir path/to/corpus --json
+    node cli.cjs cluster --dedupe                        Mark copies with "duplicate_of": "<canonical id>"
+    node cli.cjs cluster --dedupe merge                  Delete copies, listing them in the canonical's "duplicates"
+
+    Compares stored embedding vectors (same model and dimensions only), falling back to
+    embedding.input_hash equality. The earliest published copy is canonical; only copies
+    at or above --threshold against it are marked or merged, and stamps that resemble
+    just another copy are reported as related and left alone. Topic clusters
+    are labelled with their most common metaindex fragments. The report is written to
+    cluster-report.json in the corpus directory (or --output).
+
+  Export:
+    node cli.cjs export --output stamps.jsonl                    One JSON record per stamp, with its vector
+    node cli.cjs export --format sql --output stamps.sql --table stamps   pgvector DDL plus upserts
+    node cli.cjs export --format csv --output stamps.csv --no-vector      Metadata of stamps without a vector
+    node cli.cjs export --author "Jane Chen" --embedding-model text-embedding-3-small --has-vector
+    node cli.cjs export --format jsonl --output stamps.jsonl --force      Everything, not just changes
+
+    Only records whose embedding input_hash or created_at changed since the last export to
+    the same destination are written (state in export-state.json in the corpus directory).
+    Without --output, records go to stdout.
+
+  Index:
+    node cli.cjs index                                   Every .zg.json in output/ with a source_url or canonical_url
+    node cli.cjs index --input site/ --base-url https://example.com --output public/
+    node cli.cjs index --input site/ --base-url https://example.com --page-size 200
+
+    Lists each stamped article once (URL, title, intent, metaindex, embedding input_hash,
+    manifest) in <output>/.well-known/zero-gravity.json. Documents get their URL from their
+    path below --input resolved against --base-url ("posts/index.md" → /posts/); a .zg.json
+    uses its canonical_url or source_url and wins over a document with the same URL. Past
+    --page-size articles (default 500) the index continues in
+    .well-known/zero-gravity/page-N.json, linked by next and prev.
+
+  Cache:
+    node cli.cjs cache                                   Entries and size per kind (stats; --json for agents)
+    node cli.cjs cache prune --older-than 30d            Remove entries not used in 30 days (the default)
+    node cli.cjs cache prune --older-than 12h --kind pages
+    node cli.cjs cache clear                             Remove everything (--kind to clear one kind)
+
+    generate, batch, feed, embed and manifest reuse cached results keyed on content hashes:
+    pages (revalidated with ETag/Last-Modified), generations (article + prompt + model) and
+    embeddings (input_hash + model + dimensions). Stored in output/cache/ or
+    ZEROGRAVITY_CACHE_DIR. Pass --no-cache to bypass it.
+
+  Usage:
+    node cli.cjs usage                                   Totals by day, model and source
+    node cli.cjs usage --by model --since 7d             One grouping; --since takes 7d, 12h or a date
+    node cli.cjs usage --kind embedding --json           Only embedding calls, as JSON
+
+    Every generation and embedding call is appended to output/usage.jsonl (or
+    ZEROGRAVITY_USAGE_LEDGER) with its model, tokens and estimated cost. Prices are USD
+    per million tokens; ZEROGRAVITY_PRICES points to a JSON file overriding them, e.g.
+    { "my-local-model": { "input": 0, "output": 0 } }. Embedding tokens are estimated.
+
+    generate, batch, feed, embed, manifest, serve and mcp accept --budget <USD>: before each
+    call the projected cost (prompt tokens plus the output limit) is checked, and once it would
+    go over, batch and feed stop and leave the remaining items for the next run. serve answers
+    402 budget_exceeded for the rest of its lifetime.
+
+  Serve:
+    node cli.cjs serve                                  http://127.0.0.1:8787, corpus from ./output/
+    node cli.cjs serve --port 9000 --host 0.0.0.0 --dir path/to/corpus --backend mock --provider hash
+    node cli.cjs serve --max-body 2097152               Request body limit in bytes (default 1 MiB)
+
+    GET  /health            Status and which backends/providers are configured
+    POST /parse             { text, all? }                 → { stamp } or { stamps }
+    POST /validate          { json }                       → { validation }
+    POST /generate          { text, slug?, backend?, model?, embed?, provider? } → { json, stamp, validation, usage }
+    POST /embed             { fields, provider? }          → { embedding }
+    POST /search            { query, top?, provider? }     → { results }
+    GET  /corpus            Ids, slugs and titles of the corpus
+    GET  /corpus/{id|slug}  One .zg.json
+
+    Errors are JSON: { "error": { "code", "message", "details"? } } with a 4xx/5xx status.
+
+  MCP:
+    node cli.cjs mcp                                    Corpus from ./output/
+    node cli.cjs mcp --dir path/to/corpus --backend openai --model gpt-4o --provider local
+
+    Tools: parse_stamp, stamp_text, lookup_stamp (by URL or id), list_corpus.
+    Register it with an MCP client as: { "command": "node", "args": ["/path/to/cli.cjs", "mcp"] }
+
   All output files are written to ./output/ (auto-created, gitignored).
 `);
 }
@@ -371,10 +2379,46 @@ async function main() {
   switch (args.command) {
     case 'generate':
       return cmdGenerate(args);
+    case 'batch':
+      return cmdBatch(args);
+    case 'feed':
+      return cmdFeed(args);
+    case 'inject':
+      return cmdInject(args);
     case 'parse':
       return cmdParse(args);
+    case 'scan':
+      return cmdScan(args);
+    case 'verify':
+      return cmdVerify(args);
+    case 'keygen':
+      return cmdKeygen(args);
+    case 'lint':
+      return cmdLint(args);
+    case 'validate':
+      return cmdValidate(args);
+    case 'migrate':
+      return cmdMigrate(args);
     case 'embed':
       return cmdEmbed(args);
+    case 'manifest':
+      return cmdManifest(args);
+    case 'search':
+      return cmdSearch(args);
+    case 'cluster':
+      return cmdCluster(args);
+    case 'export':
+      return cmdExport(args);
+    case 'index':
+      return cmdIndex(args);
+    case 'cache':
+      return cmdCache(args);
+    case 'usage':
+      return cmdUsage(args);
+    case 'serve':
+      return cmdServe(args);
+    case 'mcp':
+      return cmdMcp(args);
     default:
       printHelp();
       process.exit(args.command ? 1 : 0);
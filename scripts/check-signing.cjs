@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Zero Gravity — Signing round trip check
+ *
+ * keygen → generate --sections --sign-key → inject --sections → verify --all
+ * on a scratch document, with the mock backend. Every stamp, document and
+ * section alike, must verify as authentic. Changing the signed manifest URL
+ * must make inject --check fail until inject re-signs. After a section is
+ * edited, that section's stamp (and the document's) must turn stale while
+ * the other section's stays authentic. Exits 1 on any mismatch.
+ * No API calls.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'cli.cjs');
+const OUTPUT_DIR = path.join(__dirname, '..', 'output');
+
+const DOCUMENT = `# Round Trip
+
+A document with two sections, each stamped and signed on its own.
+
+## Cats
+
+Cats are independent animals. They sleep most of the day. They hunt at dusk.
+
+## Dogs
+
+Dogs are loyal companions. They enjoy long walks. They guard the house.
+`;
+
+/**
+ * Run the CLI in the scratch directory.
+ *
+ * @param {string[]} argv
+ * @param {string} cwd
+ * @returns {{ status: number, stdout: string }}
+ */
+function run(argv, cwd) {
+  try {
+    const stdout = execFileSync(process.execPath, [CLI, ...argv], {
+      cwd,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, ZEROGRAVITY_USAGE_LEDGER: path.join(cwd, 'usage.jsonl') }
+    });
+    return { status: 0, stdout };
+  } catch (e) {
+    if (typeof e.status !== 'number') throw e;
+    return { status: e.status, stdout: e.stdout || '', stderr: e.stderr || '' };
+  }
+}
+
+/**
+ * Statuses from `verify --all --json`, keyed by stamp title.
+ *
+ * @param {string} cwd
+ * @param {string} doc
+ * @returns {Object<string, string>}
+ */
+function verifyAll(cwd, doc) {
+  const { stdout } = run(['verify', '--input', doc, '--all', '--keys', 'keys.json', '--json'], cwd);
+  return Object.fromEntries(JSON.parse(stdout).map(r => [r.title, r.status]));
+}
+
+/**
+ * Compare actual statuses against expected ones.
+ *
+ * @param {string} label
+ * @param {Object<string, string>} actual
+ * @param {Object<string, string>} expected
+ * @returns {boolean}
+ */
+function expectStatuses(label, actual, expected) {
+  const ok = JSON.stringify(actual) === JSON.stringify(expected);
+  console.error(`${ok ? 'ok  ' : 'FAIL'} ${label}: ${JSON.stringify(actual)}`);
+  if (!ok) console.error(`     expected ${JSON.stringify(expected)}`);
+  return ok;
+}
+
+function main() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zg-check-'));
+  const slug = `zg-check-signing-${process.pid}`;
+  const doc = `${slug}.md`;
+  fs.writeFileSync(path.join(dir, doc), DOCUMENT);
+
+  let ok = false;
+  try {
+    fs.writeFileSync(path.join(dir, 'keys.json'), run(['keygen', '--key-id', 'check', '--output', dir], dir).stdout);
+    const generated = run(['generate', '--input', doc, '--sections', '--sign-key', 'check.key.pem', '--key-id', 'check',
+      '--backend', 'mock', '--no-embed', '--no-cache'], dir);
+    const injected = run(['inject', '--input', doc, '--sections'], dir);
+    if (generated.status !== 0 || injected.status !== 0) {
+      throw new Error(`generate/inject failed:\n${generated.stderr || ''}${injected.stderr || ''}`);
+    }
+
+    ok = expectStatuses('freshly signed', verifyAll(dir, doc), {
+      'Round Trip': 'authentic',
+      Cats: 'authentic',
+      Dogs: 'authentic'
+    });
+
+    run(['manifest', '--input', path.join(OUTPUT_DIR, `${slug}.zg.json`), '--provider', 'hash',
+      '--manifest', 'https://example.com/check.manifest.json', '--no-cache'], dir);
+    const checked = run(['inject', '--input', doc, '--sections', '--check'], dir);
+    console.error(`${checked.status === 1 ? 'ok  ' : 'FAIL'} inject --check after a manifest change: exit ${checked.status}`);
+    ok = checked.status === 1 && ok;
+    run(['inject', '--input', doc, '--sections', '--sign-key', 'check.key.pem', '--key-id', 'check'], dir);
+    ok = expectStatuses('re-signed by inject', verifyAll(dir, doc), {
+      'Round Trip': 'authentic',
+      Cats: 'authentic',
+      Dogs: 'authentic'
+    }) && ok;
+
+    const docPath = path.join(dir, doc);
+    const edited = fs.readFileSync(docPath, 'utf-8').replace('## Dogs\n', '## Dogs\n\nAn added paragraph.\n');
+    fs.writeFileSync(docPath, edited);
+    ok = expectStatuses('after editing one section', verifyAll(dir, doc), {
+      'Round Trip': 'stale',
+      Cats: 'authentic',
+      Dogs: 'stale'
+    }) && ok;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (fs.existsSync(OUTPUT_DIR)) {
+      for (const name of fs.readdirSync(OUTPUT_DIR)) {
+        if (name.startsWith(slug)) fs.rmSync(path.join(OUTPUT_DIR, name), { force: true });
+      }
+    }
+  }
+
+  process.exit(ok ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,235 @@
+/**
+ * Zero Gravity — Generation Backends
+ *
+ * Uniform interface over the chat models that can distill an article:
+ * the Anthropic SDK, any OpenAI-compatible chat endpoint (including local
+ * servers), and a scripted mock for offline CI runs. Every backend call
+ * is retried with exponential backoff on transient errors.
+ */
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const MOCK_MODEL = 'mock';
+
+// HTTP statuses worth retrying: rate limits, server errors, Anthropic overload
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+// Network errors worth retrying
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+
+/**
+ * A generation backend.
+ *
+ * @typedef {Object} GenerationBackend
+ * @property {string} name - Backend name (e.g. "anthropic")
+ * @property {string} model - Model requested from the backend
+ * @property {function({ system: string, text: string, maxTokens: number }): Promise<BackendResponse>} complete
+ */
+
+/**
+ * @typedef {Object} BackendResponse
+ * @property {string} text - Response text
+ * @property {string} model - Model that actually produced the response
+ * @property {string|null} stop_reason
+ * @property {{ input_tokens: number, output_tokens: number }} usage
+ */
+
+/**
+ * Whether an error from an SDK call is transient.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (RETRYABLE_STATUSES.includes(error.status)) return true;
+  const code = error.code || (error.cause && error.cause.code);
+  if (RETRYABLE_CODES.includes(code)) return true;
+  // SDK connection and timeout errors carry no status
+  return error.status === undefined && /connection|timed? ?out/i.test(error.name + ' ' + error.message);
+}
+
+/**
+ * Call fn, retrying transient failures with exponential backoff.
+ * Honours a numeric `retry-after` header when the error carries one.
+ *
+ * @param {function(): Promise<*>} fn
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.delayMs] - Base delay, doubled on each retry
+ * @param {string} [options.label] - Name used in retry log lines
+ * @returns {Promise<*>}
+ */
+async function withRetry(fn, { retries = DEFAULT_RETRIES, delayMs = DEFAULT_RETRY_DELAY_MS, label = 'request' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+
+      const retryAfter = error.headers && Number(
+        typeof error.headers.get === 'function' ? error.headers.get('retry-after') : error.headers['retry-after']
+      );
+      const wait = retryAfter > 0
+        ? retryAfter * 1000
+        : delayMs * 2 ** attempt + Math.floor(Math.random() * delayMs / 2);
+
+      console.error(`[backend] ${label} failed (${error.status || error.code || error.message}); retry ${attempt + 1}/${retries} in ${wait}ms`);
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+}
+
+/**
+ * Backend for the Anthropic Messages API.
+ *
+ * @param {Object} client - Anthropic SDK client
+ * @param {Object} options
+ * @param {string} options.model - Claude model
+ * @param {Object} [options.retry] - withRetry() options
+ * @returns {GenerationBackend}
+ */
+function anthropicBackend(client, { model, retry } = {}) {
+  return {
+    name: 'anthropic',
+    model,
+    async complete({ system, text, maxTokens }) {
+      const response = await withRetry(() => client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages: [
+          { role: 'user', content: text }
+        ]
+      }), { label: 'anthropic', ...retry });
+
+      return {
+        text: response.content
+          .filter(b => b.type === 'text')
+          .map(b => b.text)
+          .join(''),
+        model: response.model || model,
+        stop_reason: response.stop_reason,
+        usage: {
+          input_tokens: response.usage.input_tokens,
+          output_tokens: response.usage.output_tokens
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Backend for OpenAI-compatible chat completion endpoints — the OpenAI API
+ * itself, or local servers (Ollama, llama.cpp, vLLM) via the client's `baseURL`.
+ *
+ * @param {Object} client - OpenAI SDK client
+ * @param {Object} options
+ * @param {string} options.model - Model name
+ * @param {string} [options.name='openai'] - Backend name
+ * @param {Object} [options.retry] - withRetry() options
+ * @returns {GenerationBackend}
+ */
+function openAIChatBackend(client, { model, name = 'openai', retry } = {}) {
+  return {
+    name,
+    model,
+    async complete({ system, text, maxTokens }) {
+      const response = await withRetry(() => client.chat.completions.create({
+        model,
+        max_tokens: maxTokens,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: text }
+        ]
+      }), { label: name, ...retry });
+
+      const choice = response.choices && response.choices[0];
+      const usage = response.usage || {};
+      return {
+        text: (choice && choice.message && choice.message.content) || '',
+        model: response.model || model,
+        stop_reason: choice ? choice.finish_reason : null,
+        usage: {
+          input_tokens: usage.prompt_tokens || 0,
+          output_tokens: usage.completion_tokens || 0
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Build deterministic, spec-valid fields from article text.
+ * Used by the mock backend when it has no scripted responses.
+ *
+ * @param {string} text
+ * @returns {Object}
+ */
+function mockFieldsFromText(text) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const heading = lines.find(l => /^#{1,6}\s/.test(l));
+  const title = (heading || lines[0] || 'Untitled').replace(/^#{1,6}\s+/, '').slice(0, 120);
+
+  const sentences = lines
+    .filter(l => !/^#{1,6}\s/.test(l))
+    .join(' ')
+    .split(/(?<=[.!?])\s+/)
+    .map(s => s.trim())
+    .filter(s => s.length > 0);
+
+  const pad = (items, min, prefix) => {
+    const out = items.slice();
+    while (out.length < min) out.push(`${prefix} ${out.length + 1}`);
+    return out;
+  };
+
+  return {
+    title,
+    intent: 'report',
+    relevance: sentences[0] || title,
+    claims: pad(sentences.slice(0, 5), 3, 'mock claim'),
+    metaindex: pad([title, ...sentences.slice(0, 5).map(s => s.split(/\s+/).slice(0, 8).join(' '))], 4, 'mock fragment').slice(0, 8),
+    stance: 'exploratory'
+  };
+}
+
+/**
+ * Scripted backend for offline runs. Returns the scripted responses in
+ * order (strings are returned verbatim, objects as JSON), then falls back
+ * to deterministic fields derived from the article text.
+ *
+ * @param {Object} [options]
+ * @param {Array<string|Object>} [options.responses] - Scripted responses
+ * @param {string} [options.model] - Model name to report
+ * @returns {GenerationBackend}
+ */
+function mockBackend({ responses = [], model = MOCK_MODEL } = {}) {
+  const queue = responses.slice();
+  return {
+    name: 'mock',
+    model,
+    async complete({ text }) {
+      const next = queue.length > 0 ? queue.shift() : mockFieldsFromText(text);
+      const body = typeof next === 'string' ? next : JSON.stringify(next, null, 2);
+      return {
+        text: body,
+        model,
+        stop_reason: 'end_turn',
+        usage: {
+          input_tokens: Math.ceil(text.length / 4),
+          output_tokens: Math.ceil(body.length / 4)
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  anthropicBackend,
+  openAIChatBackend,
+  mockBackend,
+  withRetry,
+  isRetryable,
+  DEFAULT_RETRIES,
+  MOCK_MODEL
+};
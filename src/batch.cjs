@@ -0,0 +1,241 @@
+/**
+ * Zero Gravity — Batch
+ *
+ * Helpers for stamping many inputs in one run: expanding a directory,
+ * glob, or URL list into work items, running them with bounded
+ * concurrency, and persisting per-item state so interrupted runs resume.
+ * No external dependencies. No API calls.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONCURRENCY = 3;
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+/**
+ * Convert a glob pattern to a RegExp.
+ * Supports `**` (any depth), `*` (within a segment) and `?`.
+ *
+ * @param {string} pattern - Glob pattern using forward slashes
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      // `**/` matches zero or more directories
+      if (pattern[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i++;
+      }
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * Recursively list files under a directory.
+ *
+ * @param {string} dir
+ * @returns {string[]} Absolute file paths
+ */
+function walkFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...walkFiles(full));
+    } else if (entry.isFile()) {
+      files.push(full);
+    }
+  }
+  return files;
+}
+
+/**
+ * The directory a glob pattern is rooted at: its segments before the first wildcard.
+ *
+ * @param {string} pattern
+ * @returns {string} Absolute directory
+ */
+function globBaseDir(pattern) {
+  const segments = pattern.split(path.sep).join('/').split('/');
+  const firstGlob = segments.findIndex(seg => /[*?]/.test(seg));
+  return path.resolve(segments.slice(0, firstGlob).join('/') || '.');
+}
+
+/**
+ * Expand a glob pattern into matching files.
+ *
+ * @param {string} pattern
+ * @returns {string[]} Absolute file paths, sorted
+ */
+function expandGlob(pattern) {
+  const segments = pattern.split(path.sep).join('/').split('/');
+  const firstGlob = segments.findIndex(seg => /[*?]/.test(seg));
+  const baseDir = globBaseDir(pattern);
+  if (!fs.existsSync(baseDir)) return [];
+
+  const regex = globToRegExp(segments.slice(firstGlob).join('/'));
+  return walkFiles(baseDir)
+    .filter(file => regex.test(path.relative(baseDir, file).split(path.sep).join('/')))
+    .sort();
+}
+
+/**
+ * Output slug of a file: its path below the batch root without the
+ * extension, directories joined by hyphens ("a/index.md" → "a-index"),
+ * so files sharing a name in different directories do not overwrite
+ * each other's output.
+ *
+ * @param {string} file - Absolute path
+ * @param {string} root - Batch root directory
+ * @returns {string}
+ */
+function fileSlug(file, root) {
+  const relative = path.relative(root, file);
+  return relative.slice(0, relative.length - path.extname(relative).length).split(path.sep).join('-');
+}
+
+/**
+ * Work items that would write the same output slug.
+ *
+ * @param {Array<{ source: string, slug?: string }>} items
+ * @returns {Array<{ slug: string, sources: string[] }>}
+ */
+function findSlugCollisions(items) {
+  const bySlug = new Map();
+  for (const item of items) {
+    if (!item.slug) continue;
+    bySlug.set(item.slug, [...(bySlug.get(item.slug) || []), item.source]);
+  }
+  return [...bySlug.entries()]
+    .filter(([, sources]) => sources.length > 1)
+    .map(([slug, sources]) => ({ slug, sources }));
+}
+
+/**
+ * Resolve a batch input into work items.
+ *
+ * - A directory yields every markdown file beneath it.
+ * - A pattern containing `*` or `?` is expanded as a glob.
+ * - Any other file is read as a list of URLs, one per line
+ *   (blank lines and `#` comments are ignored).
+ *
+ * File items carry their output slug (see fileSlug()); URL slugs are only
+ * known once the page is fetched.
+ *
+ * @param {string} input - Directory, glob, or URL list file
+ * @returns {Array<{ type: 'file'|'url', source: string, slug?: string }>}
+ */
+function resolveBatchInputs(input) {
+  if (/[*?]/.test(input)) {
+    const baseDir = globBaseDir(input);
+    return expandGlob(input).map(file => ({ type: 'file', source: file, slug: fileSlug(file, baseDir) }));
+  }
+
+  const resolved = path.resolve(input);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Batch input not found: ${resolved}`);
+  }
+
+  if (fs.statSync(resolved).isDirectory()) {
+    return walkFiles(resolved)
+      .filter(file => MARKDOWN_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort()
+      .map(file => ({ type: 'file', source: file, slug: fileSlug(file, resolved) }));
+  }
+
+  return fs.readFileSync(resolved, 'utf-8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(url => ({ type: 'url', source: url }));
+}
+
+/**
+ * Run an async worker over items with at most `limit` in flight.
+ * Worker errors are captured per item and never reject the whole run.
+ *
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent workers
+ * @param {function(*, number): Promise<*>} worker
+ * @returns {Promise<Array<{ item: *, ok: boolean, value?: *, error?: Error }>>}
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length) {
+      const idx = next++;
+      try {
+        results[idx] = { item: items[idx], ok: true, value: await worker(items[idx], idx) };
+      } catch (error) {
+        results[idx] = { item: items[idx], ok: false, error };
+      }
+    }
+  }
+
+  const lanes = [];
+  for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+    lanes.push(lane());
+  }
+  await Promise.all(lanes);
+  return results;
+}
+
+/**
+ * Load batch state from disk.
+ *
+ * @param {string} statePath
+ * @returns {{ items: Object<string, Object> }}
+ */
+function loadBatchState(statePath) {
+  if (!fs.existsSync(statePath)) return { items: {} };
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    return { items: state.items || {} };
+  } catch {
+    return { items: {} };
+  }
+}
+
+/**
+ * Persist batch state to disk.
+ * Written via a temp file and rename so an interrupted write never
+ * leaves a truncated state file behind.
+ *
+ * @param {string} statePath
+ * @param {{ items: Object<string, Object> }} state
+ */
+function saveBatchState(statePath, state) {
+  const tmp = `${statePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, statePath);
+}
+
+module.exports = {
+  resolveBatchInputs,
+  findSlugCollisions,
+  fileSlug,
+  runWithConcurrency,
+  loadBatchState,
+  saveBatchState,
+  expandGlob,
+  walkFiles,
+  globToRegExp,
+  DEFAULT_CONCURRENCY
+};
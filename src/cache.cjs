@@ -0,0 +1,172 @@
+/**
+ * Zero Gravity — Cache
+ *
+ * Local content-addressed cache so re-runs skip work whose inputs have
+ * not changed: fetched pages (revalidated with ETag / Last-Modified),
+ * generator outputs (article hash + prompt hash + model) and embeddings
+ * (input_hash + model + dimensions). One JSON file per entry under
+ * {dir}/{kind}/, named by the SHA-256 of its key.
+ * No external dependencies. No API calls.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_KINDS = ['pages', 'generations', 'embeddings'];
+
+/**
+ * SHA-256 of a string, hex-encoded.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function hashContent(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Stable key for an object of key parts (property order does not matter).
+ *
+ * @param {Object} parts
+ * @returns {string}
+ */
+function cacheKey(parts) {
+  const sorted = Object.keys(parts).sort().map(k => [k, parts[k]]);
+  return hashContent(JSON.stringify(sorted));
+}
+
+/**
+ * Walk the entry files of one kind.
+ *
+ * @param {string} kindDir
+ * @returns {Array<{ file: string, size: number, mtimeMs: number }>}
+ */
+function listEntries(kindDir) {
+  if (!fs.existsSync(kindDir)) return [];
+  const entries = [];
+  for (const shard of fs.readdirSync(kindDir)) {
+    const shardDir = path.join(kindDir, shard);
+    if (!fs.statSync(shardDir).isDirectory()) continue;
+    for (const name of fs.readdirSync(shardDir)) {
+      if (!name.endsWith('.json')) continue;
+      const file = path.join(shardDir, name);
+      const { size, mtimeMs } = fs.statSync(file);
+      entries.push({ file, size, mtimeMs });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Open a cache directory. Nothing is created until the first write.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Cache root
+ * @returns {Object} Cache with get/set/stats/prune
+ */
+function createCache({ dir }) {
+  const entryPath = (kind, key) => {
+    if (!CACHE_KINDS.includes(kind)) throw new Error(`Unknown cache kind: ${kind}`);
+    return path.join(dir, kind, key.slice(0, 2), `${key}.json`);
+  };
+
+  return {
+    dir,
+
+    /**
+     * Look up an entry. A hit refreshes its modification time, so pruning
+     * by age removes the least recently used entries.
+     *
+     * @param {string} kind - One of CACHE_KINDS
+     * @param {Object} parts - Key parts
+     * @returns {*} The stored value, or null on a miss
+     */
+    get(kind, parts) {
+      const file = entryPath(kind, cacheKey(parts));
+      try {
+        const { value } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        const now = new Date();
+        fs.utimesSync(file, now, now);
+        return value;
+      } catch {
+        // Missing or unreadable: a miss
+        return null;
+      }
+    },
+
+    /**
+     * Store an entry, replacing any previous value for the same key.
+     * Written via a temp file and rename so readers never see a partial entry.
+     *
+     * @param {string} kind - One of CACHE_KINDS
+     * @param {Object} parts - Key parts
+     * @param {*} value - JSON-serializable value
+     */
+    set(kind, parts, value) {
+      const file = entryPath(kind, cacheKey(parts));
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ stored_at: new Date().toISOString(), value }));
+      fs.renameSync(tmp, file);
+    },
+
+    /**
+     * Entry counts and sizes per kind.
+     *
+     * @returns {{ dir: string, kinds: Object<string, { entries: number, bytes: number, oldest: string|null }>, entries: number, bytes: number }}
+     */
+    stats() {
+      const kinds = {};
+      let entries = 0;
+      let bytes = 0;
+      for (const kind of CACHE_KINDS) {
+        const list = listEntries(path.join(dir, kind));
+        const size = list.reduce((sum, e) => sum + e.size, 0);
+        const oldest = list.length ? Math.min(...list.map(e => e.mtimeMs)) : null;
+        kinds[kind] = { entries: list.length, bytes: size, oldest: oldest ? new Date(oldest).toISOString() : null };
+        entries += list.length;
+        bytes += size;
+      }
+      return { dir, kinds, entries, bytes };
+    },
+
+    /**
+     * Remove entries not used for a while.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.olderThanMs=0] - Remove entries last used longer ago than this (0: all)
+     * @param {string} [options.kind] - Limit to one kind
+     * @returns {{ removed: number, bytes: number }}
+     */
+    prune({ olderThanMs = 0, kind } = {}) {
+      const cutoff = Date.now() - olderThanMs;
+      let removed = 0;
+      let bytes = 0;
+      for (const k of kind ? [kind] : CACHE_KINDS) {
+        for (const entry of listEntries(path.join(dir, k))) {
+          if (entry.mtimeMs > cutoff) continue;
+          fs.unlinkSync(entry.file);
+          removed++;
+          bytes += entry.size;
+        }
+      }
+      return { removed, bytes };
+    }
+  };
+}
+
+/**
+ * Parse a duration like "30d", "12h", "45m" or "90s" into milliseconds.
+ *
+ * @param {string} text
+ * @returns {number|null} null when unparseable
+ */
+function parseDuration(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw])$/i);
+  if (!match) return null;
+  const unit = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 }[match[2].toLowerCase()];
+  return Math.round(parseFloat(match[1]) * unit);
+}
+
+module.exports = { createCache, cacheKey, hashContent, parseDuration, CACHE_KINDS };
@@ -0,0 +1,114 @@
+/**
+ * Zero Gravity — Chunker
+ *
+ * Splits text that is too long for one generation call into chunks,
+ * breaking on markdown structure: headings first, then paragraphs, then
+ * sentences. Code fences are never split across a paragraph boundary.
+ * No external dependencies. No API calls.
+ */
+
+// ~15k tokens: fits every hosted model's context with room for the prompt,
+// and most local models'
+const DEFAULT_CHUNK_CHARS = 60000;
+
+const HEADING_REGEX = /^#{1,6}[ \t]+\S/;
+const FENCE_REGEX = /^[ \t]*(```|~~~)/;
+
+/**
+ * Split markdown into blocks: paragraphs and fenced code blocks, in order.
+ * A block is marked as a heading block when it starts with a heading line.
+ *
+ * @param {string} markdown
+ * @returns {Array<{ text: string, heading: boolean }>}
+ */
+function splitBlocks(markdown) {
+  const blocks = [];
+  let lines = [];
+  let inFence = false;
+
+  const flush = () => {
+    const text = lines.join('\n').trim();
+    if (text) blocks.push({ text, heading: HEADING_REGEX.test(text) });
+    lines = [];
+  };
+
+  for (const raw of markdown.split('\n')) {
+    const line = raw.replace(/\r$/, '');
+    if (FENCE_REGEX.test(line)) {
+      if (!inFence) flush();
+      inFence = !inFence;
+      lines.push(line);
+      continue;
+    }
+    if (!inFence && (line.trim() === '' || HEADING_REGEX.test(line))) {
+      flush();
+      if (line.trim() === '') continue;
+    }
+    lines.push(line);
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * Break a block longer than maxChars into sentence runs, and sentences
+ * longer than maxChars into fixed-size pieces.
+ *
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function splitLongBlock(text, maxChars) {
+  const pieces = [];
+  let current = '';
+  for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+    if (sentence.length > maxChars) {
+      if (current) pieces.push(current);
+      current = '';
+      for (let i = 0; i < sentence.length; i += maxChars) {
+        pieces.push(sentence.slice(i, i + maxChars));
+      }
+    } else if (current && current.length + 1 + sentence.length > maxChars) {
+      pieces.push(current);
+      current = sentence;
+    } else {
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Split text into chunks of at most maxChars.
+ * Blocks are packed greedily; once a chunk is half full, a heading starts
+ * the next one so chunks tend to follow the document's sections.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.maxChars=DEFAULT_CHUNK_CHARS]
+ * @returns {string[]} A single chunk when the text already fits
+ */
+function splitChunks(text, { maxChars = DEFAULT_CHUNK_CHARS } = {}) {
+  if (text.length <= maxChars) return [text];
+
+  const chunks = [];
+  let current = '';
+  const flush = () => {
+    if (current) chunks.push(current);
+    current = '';
+  };
+
+  for (const block of splitBlocks(text)) {
+    const pieces = block.text.length > maxChars ? splitLongBlock(block.text, maxChars) : [block.text];
+    for (const [idx, piece] of pieces.entries()) {
+      const startsSection = block.heading && idx === 0 && current.length >= maxChars / 2;
+      if (startsSection || (current && current.length + 2 + piece.length > maxChars)) flush();
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  }
+  flush();
+  return chunks;
+}
+
+module.exports = { splitChunks, DEFAULT_CHUNK_CHARS };
@@ -0,0 +1,203 @@
+/**
+ * Zero Gravity — Clusters
+ *
+ * Finds near-duplicate stamps in a loaded corpus (the same story stamped
+ * from syndicated copies) and groups the rest into topic clusters, using
+ * the stored embedding vectors. Vectors are only compared within one
+ * embedding model and dimension count; entries without a comparable
+ * vector fall back to `embedding.input_hash` equality for duplicates.
+ * No external dependencies. No API calls.
+ */
+
+const { cosineSimilarity } = require('./search.cjs');
+
+const DEFAULT_DUPLICATE_THRESHOLD = 0.95;
+const DEFAULT_CLUSTER_THRESHOLD = 0.75;
+
+// Metaindex fragments used to label a cluster
+const LABEL_FRAGMENTS = 3;
+
+/**
+ * Key identifying an embedding space.
+ *
+ * @param {Object} embedding
+ * @returns {string|null}
+ */
+function spaceKey(embedding) {
+  if (!embedding || !Array.isArray(embedding.vector) || embedding.vector.length === 0) return null;
+  return `${embedding.model}/${embedding.dimensions}`;
+}
+
+/**
+ * Order for picking which copy of a duplicate is canonical: earliest
+ * published, then earliest stamped, then file name.
+ *
+ * @param {{ file: string, json: Object }} a
+ * @param {{ file: string, json: Object }} b
+ * @returns {number}
+ */
+function canonicalOrder(a, b) {
+  const time = entry => Date.parse(entry.json.published_at || entry.json.created_at || '') || Infinity;
+  return (time(a) - time(b)) || a.file.localeCompare(b.file);
+}
+
+/**
+ * How two embeddings compare: cosine similarity within one embedding
+ * space, else `input_hash` equality.
+ *
+ * @param {Object|undefined} a - Embedding
+ * @param {Object|undefined} b - Embedding
+ * @returns {{ similarity: number, method: 'vector'|'input_hash' }|null} null when they cannot be compared
+ */
+function compareEmbeddings(a, b) {
+  if (!a || !b) return null;
+  if (spaceKey(a) && spaceKey(a) === spaceKey(b) && a.vector.length === b.vector.length) {
+    return { similarity: cosineSimilarity(a.vector, b.vector), method: 'vector' };
+  }
+  if (a.input_hash && a.input_hash === b.input_hash) return { similarity: 1, method: 'input_hash' };
+  return null;
+}
+
+/**
+ * Find groups of near-duplicate entries.
+ *
+ * Entries are grouped through any chain of duplicate pairs, but only those
+ * whose own similarity to the canonical copy meets the threshold count as
+ * its duplicates. The rest of the group is `related`: a duplicate of one
+ * of the copies, not of the canonical, and never marked or merged.
+ *
+ * @param {Array<{ file: string, json: Object }>} corpus - From loadCorpus()
+ * @param {Object} [options]
+ * @param {number} [options.threshold=DEFAULT_DUPLICATE_THRESHOLD] - Cosine similarity at or above which two stamps are duplicates
+ * @returns {Array<{
+ *   canonical: Object,
+ *   duplicates: Array<{ entry: Object, similarity: number, method: 'vector'|'input_hash' }>,
+ *   related: Array<{ entry: Object, similarity: number|null, via: Object }>
+ * }>} `related` similarity is to the canonical, null when not comparable; `via` is the copy it duplicates
+ */
+function findDuplicates(corpus, { threshold = DEFAULT_DUPLICATE_THRESHOLD } = {}) {
+  const parent = corpus.map((_, idx) => idx);
+  const find = idx => (parent[idx] === idx ? idx : (parent[idx] = find(parent[idx])));
+  const links = new Map(); // "i,j" -> { similarity, method }
+
+  for (let i = 0; i < corpus.length; i++) {
+    for (let j = i + 1; j < corpus.length; j++) {
+      const match = compareEmbeddings(corpus[i].json.embedding, corpus[j].json.embedding);
+      if (match && match.similarity >= threshold) {
+        links.set(`${i},${j}`, match);
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  corpus.forEach((_, idx) => {
+    const root = find(idx);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(idx);
+  });
+
+  const linkOf = (x, y) => links.get(`${Math.min(x, y)},${Math.max(x, y)}`);
+  const result = [];
+  for (const members of groups.values()) {
+    if (members.length < 2) continue;
+    const ordered = members.slice().sort((x, y) => canonicalOrder(corpus[x], corpus[y]));
+    const [first, ...rest] = ordered;
+    const duplicates = [];
+    const related = [];
+    for (const idx of rest) {
+      const direct = linkOf(first, idx);
+      if (direct) {
+        duplicates.push({ entry: corpus[idx], ...direct });
+        continue;
+      }
+      // Only linked through other copies: name its strongest link
+      const via = rest
+        .filter(other => other !== idx && linkOf(idx, other))
+        .sort((x, y) => linkOf(idx, y).similarity - linkOf(idx, x).similarity)[0];
+      const toCanonical = compareEmbeddings(corpus[first].json.embedding, corpus[idx].json.embedding);
+      related.push({ entry: corpus[idx], similarity: toCanonical ? toCanonical.similarity : null, via: corpus[via] });
+    }
+    result.push({ canonical: corpus[first], duplicates, related });
+  }
+  return result;
+}
+
+/**
+ * Most common metaindex fragments across a cluster's members.
+ *
+ * @param {Array<{ json: Object }>} members
+ * @returns {string[]}
+ */
+function labelCluster(members) {
+  const counts = new Map();
+  for (const { json } of members) {
+    const seen = new Set();
+    for (const fragment of Array.isArray(json.metaindex) ? json.metaindex : []) {
+      if (typeof fragment !== 'string') continue;
+      const key = fragment.trim().toLowerCase();
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      const count = counts.get(key) || { fragment: fragment.trim(), count: 0, order: counts.size };
+      count.count++;
+      counts.set(key, count);
+    }
+  }
+  return [...counts.values()]
+    .sort((a, b) => (b.count - a.count) || (a.order - b.order))
+    .slice(0, LABEL_FRAGMENTS)
+    .map(c => c.fragment);
+}
+
+/**
+ * Group entries into topic clusters: each entry joins the cluster whose
+ * centroid it is most similar to, if at or above the threshold, and
+ * starts a new cluster otherwise. Clusters never mix embedding spaces.
+ *
+ * @param {Array<{ file: string, json: Object }>} corpus - From loadCorpus()
+ * @param {Object} [options]
+ * @param {number} [options.threshold=DEFAULT_CLUSTER_THRESHOLD]
+ * @returns {{ clusters: Array<{ label: string[], space: string, members: Object[] }>, unclustered: Array<{ entry: Object, reason: string }> }}
+ */
+function clusterCorpus(corpus, { threshold = DEFAULT_CLUSTER_THRESHOLD } = {}) {
+  const clusters = [];
+  const unclustered = [];
+
+  for (const entry of corpus) {
+    const space = spaceKey(entry.json.embedding);
+    if (!space) {
+      unclustered.push({ entry, reason: 'no embedding' });
+      continue;
+    }
+    const vector = entry.json.embedding.vector;
+
+    let best = null;
+    for (const cluster of clusters) {
+      if (cluster.space !== space || cluster.sum.length !== vector.length) continue;
+      const similarity = cosineSimilarity(cluster.sum, vector);
+      if (similarity >= threshold && (!best || similarity > best.similarity)) best = { cluster, similarity };
+    }
+
+    if (best) {
+      best.cluster.members.push(entry);
+      vector.forEach((v, i) => { best.cluster.sum[i] += v; });
+    } else {
+      clusters.push({ space, members: [entry], sum: vector.slice() });
+    }
+  }
+
+  return {
+    clusters: clusters
+      .map(({ space, members }) => ({ label: labelCluster(members), space, members }))
+      .sort((a, b) => b.members.length - a.members.length),
+    unclustered
+  };
+}
+
+module.exports = {
+  findDuplicates,
+  clusterCorpus,
+  labelCluster,
+  DEFAULT_DUPLICATE_THRESHOLD,
+  DEFAULT_CLUSTER_THRESHOLD
+};
@@ -0,0 +1,89 @@
+/**
+ * Zero Gravity — Corpus
+ *
+ * Loads a directory of .zg.json files (the generator's output/ folder)
+ * into memory so they can be queried together.
+ * No external dependencies. No API calls.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ZG_JSON_SUFFIX = '.zg.json';
+
+/**
+ * Load every .zg.json file in a directory.
+ * Files that fail to parse are skipped with a warning.
+ *
+ * @param {string} dir - Directory containing .zg.json files
+ * @returns {Array<{ file: string, json: Object }>}
+ */
+function loadCorpus(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  const entries = [];
+  const files = fs.readdirSync(dir)
+    .filter(name => name.endsWith(ZG_JSON_SUFFIX))
+    .sort();
+
+  for (const name of files) {
+    const file = path.join(dir, name);
+    try {
+      const json = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      entries.push({ file, json });
+    } catch (e) {
+      console.error(`[corpus] WARNING: Skipping ${name}: ${e.message}`);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Slug of a corpus file: its name without the .zg.json suffix.
+ *
+ * @param {string} file
+ * @returns {string}
+ */
+function corpusSlug(file) {
+  return path.basename(file, ZG_JSON_SUFFIX);
+}
+
+/**
+ * Normalize a URL for comparison: no fragment, no trailing slash.
+ *
+ * @param {string} url
+ * @returns {string|null}
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href.replace(/\/+$/, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Find a corpus entry by id (or file slug), or by the URL it was fetched
+ * from (`source_url` or `canonical_url`).
+ *
+ * @param {Array<{ file: string, json: Object }>} corpus
+ * @param {Object} query
+ * @param {string} [query.id] - id or file slug
+ * @param {string} [query.url] - Article URL
+ * @returns {{ file: string, json: Object } | null}
+ */
+function findInCorpus(corpus, { id, url }) {
+  if (id) {
+    return corpus.find(({ file, json }) => json.id === id || corpusSlug(file) === id) || null;
+  }
+  const target = url && normalizeUrl(url);
+  if (!target) return null;
+  return corpus.find(({ json }) =>
+    [json.source_url, json.canonical_url].some(u => u && normalizeUrl(u) === target)
+  ) || null;
+}
+
+module.exports = { loadCorpus, corpusSlug, findInCorpus, normalizeUrl, ZG_JSON_SUFFIX };
@@ -1,17 +1,24 @@
 /**
  * Zero Gravity — Embedder
  *
- * Generates vector embeddings via OpenAI for Zero Gravity content.
+ * Generates vector embeddings for Zero Gravity content through pluggable
+ * providers: OpenAI, any OpenAI-compatible endpoint, or a deterministic
+ * offline hashing embedder for tests.
  * Embeds the semantic skeleton (field values), not the full article.
  *
- * Also provides buildFullJSON() to assemble the complete output JSON.
+ * Also provides buildFullJSON() to assemble the complete output JSON and
+ * buildManifest() to assemble a multi-provider embedding manifest.
  */
 
 const crypto = require('crypto');
+const { stampFieldsFromJSON } = require('./parser.cjs');
 
 const DEFAULT_MODEL = 'text-embedding-3-small';
 const DEFAULT_DIMENSIONS = 1536;
 
+const HASH_MODEL = 'zero-gravity-hash-v1';
+const HASH_DIMENSIONS = 256;
+
 /**
  * Compute SHA-256 hash of text.
  *
@@ -24,50 +31,154 @@ function hashText(text) {
 
 /**
  * Build a text representation of the fields for embedding.
- * Concatenates the semantic fields into a clean text block.
+ * Concatenates the semantic fields into a clean text block. Intent is the
+ * stamp's free-text one (the full JSON's relevance when its intent is an
+ * enum value), so vectors stay comparable with stamp-only entries.
  *
  * @param {Object} fields - Full JSON fields
  * @returns {string}
  */
 function fieldsToEmbeddingText(fields) {
   const parts = [];
+  const intent = stampFieldsFromJSON(fields).intent;
   if (fields.title) parts.push(`Title: ${fields.title}`);
-  if (fields.intent) parts.push(`Intent: ${fields.intent}`);
+  if (intent) parts.push(`Intent: ${intent}`);
   if (Array.isArray(fields.metaindex)) {
     parts.push(`Metaindex: ${fields.metaindex.join('; ')}`);
   }
   return parts.join('\n');
 }
 
+/**
+ * An embedding provider.
+ *
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} name - Provider name recorded in manifests (e.g. "openai")
+ * @property {string} model - Embedding model
+ * @property {number|null} dimensions - Requested dimensions, or null for the model default
+ * @property {function(string): Promise<number[]>} embedText - Embed one text
+ */
+
+/**
+ * Provider backed by an OpenAI SDK client. Also covers OpenAI-compatible
+ * local endpoints — pass a client constructed with a `baseURL`.
+ *
+ * @param {Object} client - OpenAI SDK client
+ * @param {Object} [options]
+ * @param {string} [options.name='openai'] - Provider name
+ * @param {string} [options.model] - Embedding model
+ * @param {number|null} [options.dimensions] - Vector dimensions; null to omit from the request
+ * @returns {EmbeddingProvider}
+ */
+function openAIProvider(client, { name = 'openai', model = DEFAULT_MODEL, dimensions = DEFAULT_DIMENSIONS } = {}) {
+  return {
+    name,
+    model,
+    dimensions,
+    async embedText(input) {
+      const request = { model, input };
+      if (dimensions) request.dimensions = dimensions;
+      const response = await client.embeddings.create(request);
+      return response.data[0].embedding;
+    }
+  };
+}
+
+/**
+ * Deterministic offline provider using feature hashing.
+ * Each word and word pair is hashed to a signed bucket; the result is
+ * L2-normalized. No network, same input always gives the same vector.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.dimensions] - Vector dimensions
+ * @returns {EmbeddingProvider}
+ */
+function hashProvider({ dimensions = HASH_DIMENSIONS } = {}) {
+  return {
+    name: 'hash',
+    model: HASH_MODEL,
+    dimensions,
+    async embedText(input) {
+      const vector = new Array(dimensions).fill(0);
+      const words = input.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+      const features = [...words];
+      for (let i = 0; i < words.length - 1; i++) {
+        features.push(`${words[i]} ${words[i + 1]}`);
+      }
+
+      for (const feature of features) {
+        const digest = crypto.createHash('sha256').update(feature, 'utf8').digest();
+        const bucket = digest.readUInt32BE(0) % dimensions;
+        vector[bucket] += (digest[4] & 1) ? 1 : -1;
+      }
+
+      const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+      return norm === 0 ? vector : vector.map(v => v / norm);
+    }
+  };
+}
+
+/**
+ * Accept either a provider or a bare OpenAI SDK client.
+ *
+ * @param {EmbeddingProvider|Object} embedder
+ * @param {Object} options - Passed to openAIProvider() when wrapping a client
+ * @returns {EmbeddingProvider}
+ */
+function toProvider(embedder, options) {
+  if (typeof embedder.embedText === 'function') return embedder;
+  return openAIProvider(embedder, options);
+}
+
 /**
  * Generate an embedding for Zero Gravity fields.
  *
- * @param {Object} openai - OpenAI SDK client
+ * @param {EmbeddingProvider|Object} embedder - Embedding provider, or an OpenAI SDK client
  * @param {Object} options
  * @param {Object} options.fields - Full JSON fields
- * @param {string} [options.model] - Embedding model
- * @param {number} [options.dimensions] - Vector dimensions
+ * @param {string} [options.model] - Embedding model (OpenAI client only)
+ * @param {number} [options.dimensions] - Vector dimensions (OpenAI client only)
+ * @param {Object} [options.cache] - Cache from cache.cjs; vectors are keyed on input_hash, model and dimensions
  * @returns {Promise<{model: string, dimensions: number, input_hash: string, vector: number[]}>}
  */
-async function embed(openai, { fields, model = DEFAULT_MODEL, dimensions = DEFAULT_DIMENSIONS }) {
+async function embed(embedder, { fields, model = DEFAULT_MODEL, dimensions = DEFAULT_DIMENSIONS, cache = null }) {
+  const provider = toProvider(embedder, { model, dimensions });
   const inputText = fieldsToEmbeddingText(fields);
+  const inputHash = hashText(inputText);
+  const key = { input_hash: inputHash, provider: provider.name, model: provider.model, dimensions: provider.dimensions || null };
 
-  const response = await openai.embeddings.create({
-    model,
-    input: inputText,
-    dimensions
-  });
-
-  const vector = response.data[0].embedding;
+  let vector = cache ? cache.get('embeddings', key) : null;
+  if (vector) {
+    console.error('[embedder] Cache hit');
+  } else {
+    vector = await provider.embedText(inputText);
+    if (cache) cache.set('embeddings', key, vector);
+  }
 
   return {
-    model,
-    dimensions,
-    input_hash: hashText(inputText),
+    model: provider.model,
+    dimensions: vector.length,
+    input_hash: inputHash,
     vector
   };
 }
 
+/**
+ * Embed a free-text search query.
+ * Runs the query through the same path as embed() so the resulting vector
+ * lives in the same space as the stored article embeddings.
+ *
+ * @param {EmbeddingProvider|Object} embedder - Embedding provider, or an OpenAI SDK client
+ * @param {Object} options
+ * @param {string} options.query - Search query
+ * @param {string} [options.model] - Embedding model (OpenAI client only)
+ * @param {number} [options.dimensions] - Vector dimensions (OpenAI client only)
+ * @returns {Promise<{model: string, dimensions: number, input_hash: string, vector: number[]}>}
+ */
+async function embedQuery(embedder, { query, model = DEFAULT_MODEL, dimensions = DEFAULT_DIMENSIONS }) {
+  return embed(embedder, { fields: { intent: query }, model, dimensions });
+}
+
 /**
  * Build the full output JSON.
  * Merges all fields with an optional embedding.
@@ -75,9 +186,12 @@ async function embed(openai, { fields, model = DEFAULT_MODEL, dimensions = DEFAU
  * @param {Object} options
  * @param {Object} options.fields - Generated fields
  * @param {Object} [options.embedding] - Embedding result from embed()
+ * @param {string} [options.sourceHash] - SHA-256 of the article text, used to skip unchanged inputs
+ * @param {string} [options.model] - Model that generated the fields
+ * @param {Object} [options.generation] - How the fields were generated, when not in one call
  * @returns {Object} Full JSON structure
  */
-function buildFullJSON({ fields, embedding = null }) {
+function buildFullJSON({ fields, embedding = null, sourceHash = null, model = null, generation = null }) {
   const result = {
     encoding: 'zero-gravity',
     version: '0.1',
@@ -85,6 +199,18 @@ function buildFullJSON({ fields, embedding = null }) {
     created_at: new Date().toISOString()
   };
 
+  if (model) {
+    result.model = model;
+  }
+
+  if (sourceHash) {
+    result.source_hash = sourceHash;
+  }
+
+  if (generation) {
+    result.generation = generation;
+  }
+
   if (embedding) {
     result.embedding = embedding;
   }
@@ -92,4 +218,38 @@ function buildFullJSON({ fields, embedding = null }) {
   return result;
 }
 
-module.exports = { embed, buildFullJSON, fieldsToEmbeddingText, hashText, DEFAULT_MODEL, DEFAULT_DIMENSIONS };
+/**
+ * Build a multi-provider embedding manifest.
+ * One entry per provider, so agents can grab the vector matching their model.
+ *
+ * @param {Object} options
+ * @param {Object} options.fields - Full JSON fields (id and title are copied for reference)
+ * @param {Array<{ provider: string, model: string, dimensions: number, input_hash: string, vector: number[] }>} options.embeddings
+ * @returns {Object} Manifest JSON
+ */
+function buildManifest({ fields, embeddings }) {
+  const manifest = {
+    encoding: 'zero-gravity-manifest',
+    version: '0.1'
+  };
+  if (fields.id) manifest.id = fields.id;
+  if (fields.title) manifest.title = fields.title;
+  manifest.embeddings = embeddings;
+  manifest.created_at = new Date().toISOString();
+  return manifest;
+}
+
+module.exports = {
+  embed,
+  embedQuery,
+  openAIProvider,
+  hashProvider,
+  buildFullJSON,
+  buildManifest,
+  fieldsToEmbeddingText,
+  hashText,
+  DEFAULT_MODEL,
+  DEFAULT_DIMENSIONS,
+  HASH_MODEL,
+  HASH_DIMENSIONS
+};
@@ -0,0 +1,213 @@
+/**
+ * Zero Gravity — Export
+ *
+ * Turns a loaded corpus into formats vector databases ingest: JSONL (one
+ * record per stamp, fields and vector), SQL for a pgvector table (DDL
+ * plus upserts), and CSV (metadata only). Also the record filters and
+ * the fingerprints used for incremental exports.
+ * No external dependencies. No API calls.
+ */
+
+const path = require('path');
+
+const EXPORT_FORMATS = ['jsonl', 'sql', 'csv'];
+const DEFAULT_TABLE = 'zero_gravity_stamps';
+
+// Metadata columns shared by CSV and SQL, in order
+const METADATA_COLUMNS = [
+  'slug', 'id', 'title', 'author', 'intent', 'relevance', 'source_url', 'canonical_url',
+  'published_at', 'created_at', 'model', 'embedding_model', 'dimensions', 'input_hash'
+];
+
+// List fields: JSON arrays in JSONL and SQL (jsonb), " | "-joined in CSV
+const LIST_COLUMNS = ['claims', 'metaindex', 'tags'];
+
+/**
+ * Flatten a corpus entry into an export record.
+ *
+ * @param {{ file: string, json: Object }} entry - From loadCorpus()
+ * @returns {Object}
+ */
+function toRecord({ file, json }) {
+  const embedding = json.embedding || {};
+  const hasVector = Array.isArray(embedding.vector) && embedding.vector.length > 0;
+  const record = {
+    slug: path.basename(file).replace(/\.zg\.json$/, ''),
+    id: json.id || null,
+    title: json.title || null,
+    author: json.author || null,
+    intent: json.intent || null,
+    relevance: json.relevance || null,
+    source_url: json.source_url || null,
+    canonical_url: json.canonical_url || null,
+    published_at: json.published_at || null,
+    created_at: json.created_at || null,
+    model: json.model || null,
+    embedding_model: embedding.model || null,
+    dimensions: hasVector ? embedding.vector.length : null,
+    input_hash: embedding.input_hash || null
+  };
+  for (const key of LIST_COLUMNS) {
+    record[key] = Array.isArray(json[key]) ? json[key] : [];
+  }
+  record.vector = hasVector ? embedding.vector : null;
+  return record;
+}
+
+/**
+ * What marks a record as changed since the last export.
+ *
+ * @param {Object} record
+ * @returns {string}
+ */
+function fingerprint(record) {
+  return `${record.input_hash || ''}|${record.created_at || ''}`;
+}
+
+/**
+ * Keep the records matching every given filter.
+ *
+ * @param {Object[]} records
+ * @param {Object} [filters]
+ * @param {string} [filters.author] - Author, case-insensitive
+ * @param {string} [filters.embeddingModel] - Embedding model name
+ * @param {boolean} [filters.hasVector] - true: only with a vector; false: only without
+ * @returns {Object[]}
+ */
+function filterRecords(records, { author, embeddingModel, hasVector } = {}) {
+  return records.filter(record => {
+    if (author && (record.author || '').toLowerCase() !== author.toLowerCase()) return false;
+    if (embeddingModel && record.embedding_model !== embeddingModel) return false;
+    if (hasVector !== undefined && hasVector !== null && (record.vector !== null) !== hasVector) return false;
+    return true;
+  });
+}
+
+/**
+ * One JSON object per line.
+ *
+ * @param {Object[]} records
+ * @returns {string}
+ */
+function formatJSONL(records) {
+  return records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+}
+
+/**
+ * Quote a CSV cell when needed (RFC 4180).
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(' | ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Metadata as CSV with a header row; no vectors.
+ *
+ * @param {Object[]} records
+ * @returns {string}
+ */
+function formatCSV(records) {
+  const columns = [...METADATA_COLUMNS, ...LIST_COLUMNS, 'has_vector'];
+  const rows = records.map(record => columns
+    .map(column => csvCell(column === 'has_vector' ? record.vector !== null : record[column]))
+    .join(','));
+  return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * SQL string literal.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function sqlLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number') return String(value);
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * SQL script for a pgvector table: extension and table DDL (idempotent),
+ * then one upsert per record keyed on slug. The vector column is sized
+ * when every exported vector has the same dimensions.
+ *
+ * @param {Object[]} records
+ * @param {Object} [options]
+ * @param {string} [options.table=DEFAULT_TABLE]
+ * @returns {string}
+ */
+function formatSQL(records, { table = DEFAULT_TABLE } = {}) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)?$/.test(table)) {
+    throw new Error(`Invalid table name: ${table}`);
+  }
+  const dims = [...new Set(records.map(r => r.dimensions).filter(Boolean))];
+  const vectorType = dims.length === 1 ? `vector(${dims[0]})` : 'vector';
+
+  const ddl = `CREATE EXTENSION IF NOT EXISTS vector;
+
+CREATE TABLE IF NOT EXISTS ${table} (
+  slug text PRIMARY KEY,
+  id text,
+  title text,
+  author text,
+  intent text,
+  relevance text,
+  source_url text,
+  canonical_url text,
+  published_at timestamptz,
+  created_at timestamptz,
+  model text,
+  embedding_model text,
+  dimensions integer,
+  input_hash text,
+  claims jsonb,
+  metaindex jsonb,
+  tags jsonb,
+  embedding ${vectorType}
+);
+`;
+
+  const columns = [...METADATA_COLUMNS, ...LIST_COLUMNS, 'embedding'];
+  const updates = columns.filter(c => c !== 'slug').map(c => `${c} = EXCLUDED.${c}`).join(', ');
+  const inserts = records.map(record => {
+    const values = [
+      ...METADATA_COLUMNS.map(c => sqlLiteral(record[c])),
+      ...LIST_COLUMNS.map(c => `${sqlLiteral(JSON.stringify(record[c]))}::jsonb`),
+      record.vector ? `'[${record.vector.join(',')}]'` : 'NULL'
+    ];
+    return `INSERT INTO ${table} (${columns.join(', ')})\nVALUES (${values.join(', ')})\nON CONFLICT (slug) DO UPDATE SET ${updates};`;
+  });
+
+  return `${ddl}\nBEGIN;\n${inserts.join('\n')}${inserts.length ? '\n' : ''}COMMIT;\n`;
+}
+
+/**
+ * Format records for export.
+ *
+ * @param {Object[]} records
+ * @param {'jsonl'|'sql'|'csv'} format
+ * @param {Object} [options] - formatSQL() options
+ * @returns {string}
+ */
+function formatRecords(records, format, options) {
+  switch (format) {
+    case 'jsonl': return formatJSONL(records);
+    case 'sql': return formatSQL(records, options);
+    case 'csv': return formatCSV(records);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+module.exports = {
+  toRecord,
+  fingerprint,
+  filterRecords,
+  formatRecords,
+  EXPORT_FORMATS,
+  DEFAULT_TABLE
+};
@@ -0,0 +1,241 @@
+/**
+ * Zero Gravity — Feeds
+ *
+ * Reads RSS 2.0 / RSS 1.0, Atom, and sitemap.xml (including sitemap
+ * indexes) into a flat list of entry URLs, keeping each entry's title,
+ * date and author as hints for pages that lack their own metadata.
+ * No external dependencies. No API calls.
+ */
+
+const { fetchPage, FetchError } = require('./fetcher.cjs');
+
+// Sitemap indexes can nest; follow at most this many levels
+const MAX_SITEMAP_DEPTH = 2;
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Decode XML entities.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+/**
+ * Minimal XML reader for feed formats. CDATA sections are set aside
+ * before matching so markup inside them cannot be mistaken for elements.
+ *
+ * @param {string} xml
+ * @returns {{ children: function(string, string): Array<{ attrs: string, body: string }>, text: function(string): string, attr: function(string, string): string|null }}
+ */
+function xmlReader(xml) {
+  const cdata = [];
+  const source = xml
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (m, content) => `\u0000${cdata.push(content) - 1}\u0000`)
+    .replace(/<!--[\s\S]*?-->/g, '');
+
+  return {
+    source,
+
+    /**
+     * Elements named `tag` (any namespace prefix) inside `scope`.
+     */
+    children(scope, tag) {
+      const re = new RegExp(`<(?:[\\w.-]+:)?${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${tag}\\s*>)`, 'gi');
+      const found = [];
+      let match;
+      while ((match = re.exec(scope)) !== null) {
+        found.push({ attrs: match[1] || '', body: match[2] || '' });
+      }
+      return found;
+    },
+
+    /**
+     * Text content of an element body, with CDATA restored and tags stripped.
+     */
+    text(body) {
+      const restored = body.replace(/\u0000(\d+)\u0000/g, (m, idx) => cdata[Number(idx)]);
+      return decodeEntities(restored.replace(/<[^>]+>/g, '')).trim();
+    },
+
+    /**
+     * Value of an attribute in an element's attribute string.
+     */
+    attr(attrs, name) {
+      const match = attrs.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+      return match ? decodeEntities(match[2] !== undefined ? match[2] : match[3]) : null;
+    }
+  };
+}
+
+/**
+ * Normalize a date string to an ISO 8601 timestamp.
+ *
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function toISODate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Resolve an entry link against the feed URL.
+ *
+ * @param {string|null} link
+ * @param {string|null} baseUrl
+ * @returns {string|null}
+ */
+function resolveLink(link, baseUrl) {
+  if (!link) return null;
+  try {
+    return new URL(link, baseUrl || undefined).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * First non-empty text among child elements.
+ *
+ * @param {Object} reader - xmlReader()
+ * @param {string} scope
+ * @param {string[]} tags
+ * @returns {string|null}
+ */
+function firstText(reader, scope, tags) {
+  for (const tag of tags) {
+    for (const el of reader.children(scope, tag)) {
+      const value = reader.text(el.body);
+      if (value) return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse an RSS/Atom feed or a sitemap. Entries are newest first when dated.
+ *
+ * @param {string} xml
+ * @param {string|null} [baseUrl] - Feed URL, for resolving relative links
+ * @returns {{ kind: 'rss'|'atom'|'sitemap'|'sitemapindex', title: string|null, entries: Array<{ url: string, title: string|null, published_at: string|null, author: string|null }> }}
+ */
+function parseFeed(xml, baseUrl = null) {
+  const reader = xmlReader(xml);
+  const root = (reader.source.match(/<(?:[\w.-]+:)?(rss|RDF|feed|urlset|sitemapindex)\b/) || [])[1];
+  const entries = [];
+  let kind;
+  let title = null;
+
+  if (root === 'urlset' || root === 'sitemapindex') {
+    kind = root === 'urlset' ? 'sitemap' : 'sitemapindex';
+    for (const el of reader.children(reader.source, root === 'urlset' ? 'url' : 'sitemap')) {
+      entries.push({
+        url: resolveLink(firstText(reader, el.body, ['loc']), baseUrl),
+        title: null,
+        published_at: toISODate(firstText(reader, el.body, ['lastmod'])),
+        author: null
+      });
+    }
+  } else if (root === 'feed') {
+    kind = 'atom';
+    const channel = reader.source.replace(/<(?:[\w.-]+:)?entry\b[\s\S]*?<\/(?:[\w.-]+:)?entry\s*>/gi, '');
+    title = firstText(reader, channel, ['title']);
+    for (const el of reader.children(reader.source, 'entry')) {
+      const links = reader.children(el.body, 'link');
+      const link = links.find(l => (reader.attr(l.attrs, 'rel') || 'alternate') === 'alternate') || links[0];
+      const authorEl = reader.children(el.body, 'author')[0];
+      entries.push({
+        url: resolveLink(link ? reader.attr(link.attrs, 'href') : null, baseUrl),
+        title: firstText(reader, el.body, ['title']),
+        published_at: toISODate(firstText(reader, el.body, ['published', 'updated'])),
+        author: authorEl ? (firstText(reader, authorEl.body, ['name']) || reader.text(authorEl.body)) : null
+      });
+    }
+  } else if (root === 'rss' || root === 'RDF') {
+    kind = 'rss';
+    const channel = reader.source.replace(/<item\b[\s\S]*?<\/item\s*>/gi, '');
+    title = firstText(reader, channel, ['title']);
+    for (const el of reader.children(reader.source, 'item')) {
+      const guid = reader.children(el.body, 'guid')[0];
+      const guidLink = guid && reader.attr(guid.attrs, 'isPermaLink') !== 'false' ? reader.text(guid.body) : null;
+      entries.push({
+        url: resolveLink(firstText(reader, el.body, ['link']) || reader.attr(el.attrs, 'rdf:about') || guidLink, baseUrl),
+        title: firstText(reader, el.body, ['title']),
+        published_at: toISODate(firstText(reader, el.body, ['pubDate', 'date', 'published'])),
+        author: firstText(reader, el.body, ['creator', 'author'])
+      });
+    }
+  } else {
+    throw new Error('Not an RSS, Atom or sitemap document');
+  }
+
+  const seen = new Set();
+  return sortEntries({
+    kind,
+    title,
+    entries: entries.filter(entry => {
+      if (!entry.url || seen.has(entry.url)) return false;
+      seen.add(entry.url);
+      return true;
+    })
+  });
+}
+
+/**
+ * Fetch a feed or sitemap and list its entries. Sitemap indexes are
+ * followed into their child sitemaps. Entries come back newest first
+ * when dates are known.
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.depth] - Sitemap index levels still allowed
+ * @param {function(string): void} [options.log] - Progress logger
+ * @returns {Promise<{ kind: string, title: string|null, entries: Array<Object> }>}
+ */
+async function fetchFeed(url, { depth = MAX_SITEMAP_DEPTH, log = () => {} } = {}) {
+  const page = await fetchPage(url);
+  if (/html/.test(page.contentType) && !/<(rss|feed|urlset|sitemapindex)\b/i.test(page.body)) {
+    throw new FetchError(`${page.url} is an HTML page, not a feed or sitemap`, { status: page.status, url: page.url });
+  }
+
+  const feed = parseFeed(page.body, page.url);
+  if (feed.kind !== 'sitemapindex') return feed;
+
+  if (depth <= 0) {
+    throw new Error(`Sitemap index nesting too deep at ${page.url}`);
+  }
+  const entries = [];
+  for (const child of feed.entries) {
+    log(`Reading sitemap ${child.url}`);
+    const childFeed = await fetchFeed(child.url, { depth: depth - 1, log });
+    entries.push(...childFeed.entries);
+  }
+  return sortEntries({ kind: 'sitemap', title: null, entries });
+}
+
+/**
+ * Order entries newest first; undated entries keep their document order at the end.
+ *
+ * @param {{ entries: Array<Object> }} feed
+ * @returns {Object} The same feed
+ */
+function sortEntries(feed) {
+  const dated = feed.entries.filter(e => e.published_at);
+  const undated = feed.entries.filter(e => !e.published_at);
+  dated.sort((a, b) => b.published_at.localeCompare(a.published_at));
+  feed.entries = [...dated, ...undated];
+  return feed;
+}
+
+module.exports = { parseFeed, fetchFeed, decodeEntities };
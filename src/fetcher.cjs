@@ -0,0 +1,499 @@
+/**
+ * Zero Gravity — Fetcher
+ *
+ * Fetches an article page and reduces it to the article itself: HTTP
+ * statuses and charsets are honoured, the main content is picked out
+ * from boilerplate (cookie banners, related posts, comment threads) by
+ * Readability-style scoring, and page metadata — canonical URL, title,
+ * author, published date — is captured for the .zg.json.
+ */
+
+const http = require('http');
+const https = require('https');
+const domino = require('@mixmark-io/domino');
+const { slugify } = require('./generator.cjs');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; ZeroGravity/0.1)';
+const MAX_REDIRECTS = 5;
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+const TEXT_TYPES = ['text/plain', 'text/markdown', 'text/x-markdown'];
+
+// Never part of the article
+const STRIP_TAGS = 'script, style, noscript, template, iframe, svg, canvas, form, button, select, input, nav, footer, aside, dialog';
+
+// class/id/role hints: boilerplate vs. article body
+const UNLIKELY_REGEX = /banner|breadcrumb|combx|comment|community|consent|cookie|disqus|extra|foot|gdpr|header|legal|menu|modal|newsletter|outbrain|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|taboola|tags|tool|widget|ad-break|agegate/i;
+const LIKELY_REGEX = /and|article|body|column|content|main|shadow/i;
+const POSITIVE_REGEX = /article|body|content|entry|hentry|h-entry|main|page|post|story|text|blog/i;
+const NEGATIVE_REGEX = /-ad-|hidden|^hid$|banner|combx|comment|com-|contact|cookie|consent|foot|footer|footnote|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|social|subscribe|tags|tool|widget/i;
+
+// Blocks whose text is scored
+const SCORE_TAGS = 'p, pre, td, blockquote, li';
+
+// Paragraph text shorter than this does not score
+const MIN_PARAGRAPH_LENGTH = 25;
+
+/**
+ * querySelectorAll as an array (domino's NodeList is not iterable).
+ *
+ * @param {Document|Element} root
+ * @param {string} selector
+ * @returns {Element[]}
+ */
+function selectAll(root, selector) {
+  return Array.from(root.querySelectorAll(selector));
+}
+
+/**
+ * An HTTP error response (non-2xx after redirects).
+ */
+class FetchError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {number} [options.status] - HTTP status code
+   * @param {string} [options.url] - URL that failed
+   */
+  constructor(message, { status, url } = {}) {
+    super(message);
+    this.name = 'FetchError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+/**
+ * Parse a Content-Type header.
+ *
+ * @param {string} [header]
+ * @returns {{ type: string, charset: string|null }}
+ */
+function parseContentType(header) {
+  const [type, ...params] = String(header || '').split(';');
+  let charset = null;
+  for (const param of params) {
+    const [key, value] = param.split('=');
+    if (key && value && key.trim().toLowerCase() === 'charset') {
+      charset = value.trim().replace(/^["']|["']$/g, '').toLowerCase();
+    }
+  }
+  return { type: type.trim().toLowerCase(), charset };
+}
+
+/**
+ * Find a charset declared inside the HTML itself (BOM, <meta charset> or
+ * <meta http-equiv="Content-Type">), looking only at the head of the document.
+ *
+ * @param {Buffer} body
+ * @returns {string|null}
+ */
+function sniffCharset(body) {
+  if (body[0] === 0xef && body[1] === 0xbb && body[2] === 0xbf) return 'utf-8';
+  if (body[0] === 0xff && body[1] === 0xfe) return 'utf-16le';
+  if (body[0] === 0xfe && body[1] === 0xff) return 'utf-16be';
+
+  const head = body.subarray(0, 2048).toString('latin1');
+  const match = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w-]+)/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Decode a response body, falling back to UTF-8 for unknown charsets.
+ *
+ * @param {Buffer} body
+ * @param {string|null} charset
+ * @returns {string}
+ */
+function decodeBody(body, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(body);
+  } catch (e) {
+    return new TextDecoder('utf-8').decode(body);
+  }
+}
+
+/**
+ * GET a URL, following redirects.
+ * Rejects with FetchError on non-2xx responses.
+ *
+ * With a cache, pages served with an ETag or Last-Modified are stored and
+ * revalidated on the next fetch; a 304 returns the stored page.
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @param {Object} [options.cache] - Cache from cache.cjs
+ * @returns {Promise<{ url: string, status: number, contentType: string, charset: string|null, body: string }>}
+ */
+function fetchPage(url, { timeoutMs = DEFAULT_TIMEOUT_MS, cache = null } = {}) {
+  const cached = cache ? cache.get('pages', { url }) : null;
+  const validators = {};
+  if (cached && cached.etag) validators['If-None-Match'] = cached.etag;
+  if (cached && cached.last_modified) validators['If-Modified-Since'] = cached.last_modified;
+
+  return new Promise((resolve, reject) => {
+    function follow(targetUrl, redirects) {
+      if (redirects > MAX_REDIRECTS) {
+        return reject(new FetchError(`Too many redirects fetching ${url}`, { url }));
+      }
+      const mod = targetUrl.startsWith('https') ? https : http;
+      const req = mod.get(targetUrl, {
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': 'text/html,application/xhtml+xml;q=0.9,text/plain;q=0.8,*/*;q=0.5',
+          ...validators
+        }
+      }, (res) => {
+        if (res.statusCode === 304 && cached) {
+          res.resume();
+          return resolve(cached.page);
+        }
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+          res.resume();
+          return follow(new URL(res.headers.location, targetUrl).href, redirects + 1);
+        }
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          res.resume();
+          return reject(new FetchError(`HTTP ${res.statusCode} fetching ${targetUrl}`, { status: res.statusCode, url: targetUrl }));
+        }
+
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', reject);
+        res.on('end', () => {
+          const buffer = Buffer.concat(chunks);
+          const { type, charset } = parseContentType(res.headers['content-type']);
+          const resolvedCharset = charset || sniffCharset(buffer);
+          const page = {
+            url: targetUrl,
+            status: res.statusCode,
+            contentType: type,
+            charset: resolvedCharset,
+            body: decodeBody(buffer, resolvedCharset)
+          };
+          const etag = res.headers.etag || null;
+          const lastModified = res.headers['last-modified'] || null;
+          if (cache && (etag || lastModified)) {
+            cache.set('pages', { url }, { etag, last_modified: lastModified, page });
+          }
+          resolve(page);
+        });
+      });
+      req.setTimeout(timeoutMs, () => req.destroy(new FetchError(`Timed out fetching ${targetUrl}`, { url: targetUrl })));
+      req.on('error', reject);
+    }
+
+    follow(url, 0);
+  });
+}
+
+/**
+ * Read the first non-empty `content` among matching <meta> tags.
+ *
+ * @param {Document} doc
+ * @param {string[]} selectors
+ * @returns {string|null}
+ */
+function metaContent(doc, selectors) {
+  for (const selector of selectors) {
+    const el = doc.querySelector(selector);
+    const value = el && (el.getAttribute('content') || el.getAttribute('datetime') || el.textContent);
+    if (value && value.trim()) return value.trim();
+  }
+  return null;
+}
+
+/**
+ * Collect JSON-LD objects (flattening arrays and @graph).
+ *
+ * @param {Document} doc
+ * @returns {Object[]}
+ */
+function jsonLdObjects(doc) {
+  const objects = [];
+  for (const script of selectAll(doc, 'script[type="application/ld+json"]')) {
+    try {
+      const data = JSON.parse(script.textContent);
+      const stack = Array.isArray(data) ? data.slice() : [data];
+      while (stack.length) {
+        const item = stack.shift();
+        if (!item || typeof item !== 'object') continue;
+        objects.push(item);
+        if (Array.isArray(item['@graph'])) stack.push(...item['@graph']);
+      }
+    } catch (e) {
+      // Malformed JSON-LD is common; ignore it
+    }
+  }
+  return objects;
+}
+
+/**
+ * Normalize a date string to an ISO 8601 timestamp.
+ *
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function toISODate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Extract page metadata.
+ * Sources, in priority order: <link rel=canonical>, Open Graph, JSON-LD
+ * Article data, standard meta tags, then <title>.
+ *
+ * @param {Document} doc
+ * @param {string} pageUrl - Final URL of the page (for resolving relative links)
+ * @returns {{ title: string|null, author: string|null, published_at: string|null, canonical_url: string|null, site_name: string|null }}
+ */
+function extractMetadata(doc, pageUrl) {
+  const article = jsonLdObjects(doc).find(o => /Article|BlogPosting|Report/i.test([].concat(o['@type']).join(' '))) || {};
+  const ldAuthor = [].concat(article.author || [])
+    .map(a => (typeof a === 'string' ? a : a && a.name))
+    .filter(Boolean)
+    .join(', ');
+
+  const canonicalLink = doc.querySelector('link[rel~="canonical"]');
+  const canonicalHref = (canonicalLink && canonicalLink.getAttribute('href'))
+    || metaContent(doc, ['meta[property="og:url"]']);
+  let canonical = null;
+  if (canonicalHref) {
+    try {
+      canonical = new URL(canonicalHref, pageUrl).href;
+    } catch (e) {
+      canonical = null;
+    }
+  }
+
+  const titleEl = doc.querySelector('title');
+  return {
+    title: metaContent(doc, ['meta[property="og:title"]', 'meta[name="twitter:title"]'])
+      || article.headline
+      || (titleEl && titleEl.textContent.trim())
+      || null,
+    author: metaContent(doc, ['meta[name="author"]', 'meta[property="article:author"]:not([content^="http"])'])
+      || ldAuthor
+      || metaContent(doc, ['[rel="author"]', '[itemprop="author"] [itemprop="name"]', '[itemprop="author"]']),
+    published_at: toISODate(
+      metaContent(doc, ['meta[property="article:published_time"]', 'meta[name="date"]', 'meta[name="dc.date"]', 'meta[itemprop="datePublished"]'])
+      || article.datePublished
+      || metaContent(doc, ['time[datetime][pubdate]', 'article time[datetime]'])
+    ),
+    canonical_url: canonical,
+    site_name: metaContent(doc, ['meta[property="og:site_name"]'])
+  };
+}
+
+/**
+ * class + id (+ role) of an element, for the boilerplate heuristics.
+ *
+ * @param {Element} el
+ * @returns {string}
+ */
+function matchString(el) {
+  return `${el.getAttribute('class') || ''} ${el.getAttribute('id') || ''} ${el.getAttribute('role') || ''}`;
+}
+
+/**
+ * Weight an element by its class and id.
+ *
+ * @param {Element} el
+ * @returns {number}
+ */
+function classWeight(el) {
+  let weight = 0;
+  for (const value of [el.getAttribute('class'), el.getAttribute('id')]) {
+    if (!value) continue;
+    if (NEGATIVE_REGEX.test(value)) weight -= 25;
+    if (POSITIVE_REGEX.test(value)) weight += 25;
+  }
+  return weight;
+}
+
+/**
+ * Share of an element's text that sits inside links.
+ *
+ * @param {Element} el
+ * @returns {number} 0..1
+ */
+function linkDensity(el) {
+  const length = el.textContent.trim().length;
+  if (length === 0) return 0;
+  let linkLength = 0;
+  for (const a of selectAll(el, 'a')) linkLength += a.textContent.trim().length;
+  return linkLength / length;
+}
+
+/**
+ * Remove elements that are never article content, and boilerplate
+ * containers identified by class/id/role (cookie banners, comment
+ * threads, related posts, share bars).
+ *
+ * @param {Element} root
+ */
+function stripBoilerplate(root) {
+  for (const el of selectAll(root, STRIP_TAGS)) el.remove();
+  for (const el of selectAll(root, '[hidden], [aria-hidden="true"], [role="navigation"], [role="complementary"], [role="contentinfo"], [role="banner"]')) {
+    el.remove();
+  }
+
+  for (const el of selectAll(root, '*')) {
+    if (!el.parentNode || el.tagName === 'BODY' || el.tagName === 'ARTICLE' || el.tagName === 'MAIN') continue;
+    const hints = matchString(el);
+    if (UNLIKELY_REGEX.test(hints) && !LIKELY_REGEX.test(hints)) el.remove();
+  }
+}
+
+/**
+ * Pick the element holding the article body.
+ * A single <article>, [itemprop=articleBody] or <main> wins outright;
+ * otherwise paragraphs score their parent and grandparent (by length and
+ * commas, weighted by class/id), scores are damped by link density, and
+ * the best-scoring container wins.
+ *
+ * @param {Document} doc
+ * @returns {Element}
+ */
+function findMainContent(doc) {
+  const body = doc.body || doc.documentElement;
+
+  for (const selector of ['[itemprop="articleBody"]', 'article', 'main', '[role="main"]']) {
+    const matches = selectAll(body, selector);
+    if (matches.length === 1 && matches[0].textContent.trim().length > 200) return matches[0];
+  }
+
+  const scores = new Map();
+  const addScore = (el, amount) => {
+    if (!el || el.nodeType !== 1) return;
+    if (!scores.has(el)) scores.set(el, classWeight(el));
+    scores.set(el, scores.get(el) + amount);
+  };
+
+  for (const block of selectAll(body, SCORE_TAGS)) {
+    const text = block.textContent.trim();
+    if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+    const score = 1 + text.split(/[,，]/).length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(block.parentNode, score);
+    if (block.parentNode) addScore(block.parentNode.parentNode, score / 2);
+  }
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity(el));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+
+  return best || body;
+}
+
+/**
+ * Fill metadata the page did not provide from hints.
+ *
+ * @param {Object} metadata
+ * @param {Object} [hints]
+ * @returns {Object}
+ */
+function withHints(metadata, hints = {}) {
+  const merged = { ...metadata };
+  for (const key of ['title', 'author', 'published_at']) {
+    if (!merged[key] && hints[key]) merged[key] = hints[key];
+  }
+  return merged;
+}
+
+/**
+ * Turn fetched HTML into article markdown plus metadata.
+ *
+ * @param {string} html
+ * @param {string} pageUrl - Final URL of the page
+ * @param {Object} [hints] - Fallback title/author/published_at (e.g. from a feed entry)
+ * @returns {{ text: string, metadata: Object }}
+ */
+function extractArticle(html, pageUrl, hints = {}) {
+  const doc = domino.createDocument(html);
+  const metadata = withHints(extractMetadata(doc, pageUrl), hints);
+
+  stripBoilerplate(doc.body || doc.documentElement);
+  const content = findMainContent(doc);
+
+  const TurndownService = require('turndown');
+  const td = new TurndownService({ headingStyle: 'atx', bulletListMarker: '-' });
+  let text = td.turndown(content.innerHTML).trim();
+
+  // Keep the title with the text when the content block starts below it
+  if (metadata.title && !/^#\s/.test(text)) {
+    text = `# ${metadata.title}\n\n${text}`;
+  }
+
+  return { text: `${text}\n`, metadata };
+}
+
+/**
+ * Output slug for a fetched page: the last path segment of the canonical
+ * (or final) URL without any file extension, else the page title.
+ *
+ * @param {string} url
+ * @param {string|null} title
+ * @returns {string}
+ */
+function slugFromUrl(url, title) {
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+  let last = segments.length ? segments[segments.length - 1] : '';
+  try {
+    last = decodeURIComponent(last);
+  } catch (e) {
+    // Keep the raw segment
+  }
+  last = last.replace(/\.(s?html?|php|aspx?|jsp)$/i, '');
+  if (/^(index|default)$/i.test(last)) last = segments.length > 1 ? segments[segments.length - 2] : '';
+  return slugify(last) || slugify(title || '') || 'article';
+}
+
+/**
+ * Fetch a URL and extract the article.
+ *
+ * @param {string} url
+ * @param {Object} [options] - fetchPage() options, plus:
+ * @param {Object} [options.hints] - Fallback title/author/published_at for pages that lack them
+ * @param {Object} [options.page] - A fetchPage() result to use instead of fetching again
+ * @returns {Promise<{ slug: string, text: string, source: { source_url: string, canonical_url: string|null, published_at: string|null, title: string|null, author: string|null, site_name: string|null } }>}
+ */
+async function fetchArticle(url, { hints = {}, page = null, ...options } = {}) {
+  if (!page) page = await fetchPage(url, options);
+
+  let text;
+  let metadata = withHints({ title: null, author: null, published_at: null, canonical_url: null, site_name: null }, hints);
+  if (HTML_TYPES.includes(page.contentType) || (!page.contentType && /<html|<body/i.test(page.body))) {
+    ({ text, metadata } = extractArticle(page.body, page.url, hints));
+  } else if (TEXT_TYPES.includes(page.contentType)) {
+    text = page.body;
+  } else {
+    throw new FetchError(`Unsupported content type "${page.contentType}" at ${page.url}`, { status: page.status, url: page.url });
+  }
+
+  return {
+    slug: slugFromUrl(metadata.canonical_url || page.url, metadata.title),
+    text,
+    source: { source_url: url, ...metadata }
+  };
+}
+
+module.exports = {
+  fetchArticle,
+  fetchPage,
+  extractArticle,
+  extractMetadata,
+  findMainContent,
+  slugFromUrl,
+  parseContentType,
+  FetchError
+};
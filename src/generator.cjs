@@ -1,13 +1,22 @@
 /**
  * Zero Gravity — Generator
  *
- * Takes article text and produces Zero Gravity stamp fields using Claude.
+ * Takes article text and produces Zero Gravity stamp fields using a
+ * generation backend (Claude by default — see backends.cjs).
  * Uses skill/zero-gravity.md as the base prompt — single source of truth
  * for field definitions. Appends a JSON-output override.
+ *
+ * Text longer than one chunk is distilled map-reduce style: each chunk
+ * into intermediate claims and fragments, then one merge call into the
+ * final fields. Invalid output is re-prompted with its errors.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { anthropicBackend } = require('./backends.cjs');
+const { splitChunks, DEFAULT_CHUNK_CHARS } = require('./chunker.cjs');
+const { validateFullJSON } = require('./parser.cjs');
+const { hashContent } = require('./cache.cjs');
 
 const DEFAULT_MODEL = 'claude-sonnet-4-6';
 
@@ -17,68 +26,420 @@ const JSON_OVERRIDE = `
 ---
 
 For this invocation, output ONLY valid JSON — no stamp format, no markdown fences, no commentary.
+Produce the full Zero Gravity JSON rather than the stamp. Field meanings for this JSON:
+
+Required fields:
+- title: Article title
+- intent: What the article does. Exactly one of: "proposal", "critique", "synthesis", "report", "design"
+- relevance: One sentence: what the article argues and why it matters. The stamp uses it as its intent sentence.
+- claims: 3-7 explicit propositions the article makes. Array of strings.
+- metaindex: 4-8 semantic fragments, as described above. Array of strings.
 
-Required fields: title, intent, metaindex
-Optional fields: author
+Optional fields (include when the article supports them):
+- author: Author name, or the company/website if not identifiable
+- stance: Epistemic posture. Exactly one of: "speculative", "empirical", "prescriptive", "exploratory"
+- novelty: What is new here. Array, 1-3 items.
+- tags: Semantic anchors for clustering/retrieval. Array of lowercase hyphenated strings.
+- relations: Adjacent ideas, frameworks. Array.
+- audience: Who this is for. Array.
+- actions: Suggested agent actions. Array.
+
+Do not output encoding, version, id, model or embedding — those are added automatically.
 
 Example:
 {
+  "author": "Erik Burns",
   "title": "Zero Gravity — A Semantic Bootstrap for the Agentic Web",
-  "intent": "Argues that publishers can eliminate redundant agent computation by embedding a lightweight semantic declaration in each article",
-  "metaindex": ["semantic bootstrap for agents", "token gravity", "agents need structure not prose", "meaning has bones"],
-  "author": "Erik Burns"
+  "intent": "proposal",
+  "relevance": "A meaning skeleton makes content indexable, embeddable, and retrievable without processing full prose",
+  "claims": [
+    "agents waste tokens on rhetorical glue",
+    "meaning can be represented as claims and relations",
+    "a semantic skeleton is more useful than a compressed paragraph",
+    "embedding the skeleton produces cleaner vectors than embedding the article"
+  ],
+  "metaindex": ["Erik Burns", "semantic bootstrap for agents", "token gravity", "agents need structure not prose", "meaning has bones"],
+  "stance": "exploratory",
+  "novelty": ["Zero Gravity microformat", "distill-then-embed pipeline"],
+  "tags": ["semantic-compression", "agent-abstracts", "meaning-skeleton"],
+  "relations": ["RAG", "argument-mapping", "microformats"],
+  "audience": ["AI agents", "content publishers"],
+  "actions": ["parse stamp for free", "read prose only when relevant"]
 }`;
 
-function buildSystemPrompt() {
-  const skill = fs.readFileSync(SKILL_PATH, 'utf-8');
-  return skill + JSON_OVERRIDE;
+const MAP_OVERRIDE = `
+---
+
+For this invocation you are reading ONE PART of a long article, not the whole thing.
+Do not produce the Zero Gravity JSON. Output ONLY valid JSON notes on this part — no markdown
+fences, no commentary — in this shape:
+
+{
+  "title": "The article's title, if this part states it, else null",
+  "author": "The author, if this part states it, else null",
+  "claims": ["Up to 7 explicit propositions this part makes"],
+  "fragments": ["Up to 8 semantic fragments for this part, in the metaindex style described above"]
+}
+
+The notes from every part will be merged into one stamp later, so keep claims and fragments
+specific to what this part actually says.`;
+
+const REDUCE_PREAMBLE = `The article below was too long to read in one pass. It was split into parts and
+each part was distilled into notes. Merge the notes into the Zero Gravity JSON for the WHOLE
+article: pick the 3-7 claims and 4-8 metaindex fragments that matter most across all parts,
+rather than listing every part's notes.`;
+
+// Characters of the article's opening passed to the merge step, for title and framing
+const REDUCE_OPENING_CHARS = 2000;
+
+// Array limits from the spec, enforced on merged output
+const LIST_LIMITS = { claims: 7, metaindex: 8, novelty: 3 };
+
+// Generation calls per article before keeping the best invalid attempt
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Characters of a rejected response quoted back in the correction prompt
+const CORRECTION_RESPONSE_CHARS = 6000;
+
+// Field order for the full JSON, following the spec's tables
+const FULL_JSON_FIELD_ORDER = [
+  'id', 'author', 'title', 'intent', 'relevance', 'claims', 'metaindex',
+  'stance', 'novelty', 'tags', 'relations', 'audience', 'actions'
+];
+
+/**
+ * Convert text to a stable slug: lowercase, hyphens, alphanumeric.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function slugify(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
 }
 
 /**
- * Generate Zero Gravity fields from article text using Claude.
+ * Derive the full JSON `id`. Prefers the title so the same article gets
+ * the same id whatever it was saved as; falls back to the filename slug.
  *
- * @param {Object} anthropic - Anthropic SDK client
  * @param {Object} options
- * @param {string} options.text - Article text to distill
- * @param {string} [options.model] - Claude model to use
- * @returns {Promise<{fields: Object|null, raw: string, usage: Object}>}
+ * @param {string} [options.title] - Article title
+ * @param {string} [options.slug] - Input filename (without extension) or URL slug
+ * @returns {string|null}
+ */
+function deriveId({ title, slug }) {
+  return slugify(title || '') || slugify(slug || '') || null;
+}
+
+/**
+ * Put generated fields in spec order, dropping anything the generator
+ * should not control (encoding, version, model, embedding).
+ *
+ * @param {Object} fields - Parsed model output
+ * @param {string|null} id - Derived id
+ * @returns {Object}
  */
-async function generate(anthropic, { text, model = DEFAULT_MODEL }) {
-  const response = await anthropic.messages.create({
-    model,
-    max_tokens: 2048,
-    system: buildSystemPrompt(),
-    messages: [
-      { role: 'user', content: text }
-    ]
-  });
-
-  const raw = response.content
-    .filter(b => b.type === 'text')
-    .map(b => b.text)
-    .join('')
-    .trim();
+function normalizeFields(fields, id) {
+  const { encoding, version, model, embedding, ...rest } = fields;
+  const ordered = {};
+  if (id) ordered.id = id;
+  for (const key of FULL_JSON_FIELD_ORDER) {
+    if (key !== 'id' && rest[key] !== undefined) ordered[key] = rest[key];
+  }
+  for (const key of Object.keys(rest)) {
+    if (!(key in ordered) && key !== 'id') ordered[key] = rest[key];
+  }
+  return ordered;
+}
 
+/**
+ * Prefix the article with what the fetched page says about itself, so
+ * the model can use the real title, author and date.
+ *
+ * @param {string} text - Article text
+ * @param {Object|null} source - Page metadata from fetcher.cjs
+ * @returns {string}
+ */
+function withSourceContext(text, source) {
+  if (!source) return text;
+  const lines = [
+    ['Title', source.title],
+    ['Author', source.author],
+    ['Published', source.published_at],
+    ['Site', source.site_name],
+    ['URL', source.canonical_url || source.source_url]
+  ].filter(([, value]) => value).map(([label, value]) => `${label}: ${value}`);
+  if (lines.length === 0) return text;
+  return `Page metadata:\n${lines.join('\n')}\n\n---\n\n${text}`;
+}
+
+function buildSystemPrompt(override = JSON_OVERRIDE) {
+  const skill = fs.readFileSync(SKILL_PATH, 'utf-8');
+  return skill + override;
+}
+
+/**
+ * Parse a model response as a JSON object, stripping markdown fences.
+ *
+ * @param {string} raw - Trimmed response text
+ * @param {Object} response - Backend response (for the stop reason)
+ * @returns {{ parsed: Object|null, error: string|null }}
+ */
+function parseJSONResponse(raw, response) {
   if (!raw) {
-    console.error(`[generator] WARNING: Empty response. Stop reason: ${response.stop_reason}`);
-    return { fields: null, raw: '', usage: response.usage };
+    return { parsed: null, error: `Empty response (stop reason: ${response.stop_reason})` };
   }
 
-  // Parse JSON — strip markdown code fences if present
-  let fields;
+  let parsed;
   try {
     const cleaned = raw.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '').trim();
-    fields = JSON.parse(cleaned);
+    parsed = JSON.parse(cleaned);
   } catch (e) {
-    console.error(`[generator] WARNING: Response is not valid JSON: ${e.message}`);
-    return { fields: null, raw, usage: response.usage };
+    const truncated = ['max_tokens', 'length'].includes(response.stop_reason) ? ' (response was truncated)' : '';
+    return { parsed: null, error: `Response is not valid JSON${truncated}: ${e.message}` };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { parsed: null, error: 'Response is not a JSON object' };
+  }
+  return { parsed, error: null };
+}
+
+/**
+ * Add two usage records.
+ *
+ * @param {{ input_tokens: number, output_tokens: number }} a
+ * @param {{ input_tokens: number, output_tokens: number }} b
+ * @returns {{ input_tokens: number, output_tokens: number }}
+ */
+function addUsage(a, b) {
+  return {
+    input_tokens: a.input_tokens + b.input_tokens,
+    output_tokens: a.output_tokens + b.output_tokens
+  };
+}
+
+/**
+ * Format one part's notes for the merge step.
+ *
+ * @param {Object} notes - Parsed map output
+ * @param {number} index - 1-based part number
+ * @param {number} total
+ * @returns {string}
+ */
+function formatNotes(notes, index, total) {
+  const list = value => (Array.isArray(value) ? value : []).map(item => `- ${item}`).join('\n');
+  const lines = [`Part ${index} of ${total}:`];
+  if (notes.title) lines.push(`Title: ${notes.title}`);
+  if (notes.author) lines.push(`Author: ${notes.author}`);
+  lines.push(`Claims:\n${list(notes.claims)}`);
+  lines.push(`Fragments:\n${list(notes.fragments || notes.metaindex)}`);
+  return lines.join('\n');
+}
+
+/**
+ * Trim list fields to the spec's maximum lengths.
+ *
+ * @param {Object} fields
+ * @returns {Object}
+ */
+function clampLists(fields) {
+  const clamped = { ...fields };
+  for (const [key, max] of Object.entries(LIST_LIMITS)) {
+    if (Array.isArray(clamped[key]) && clamped[key].length > max) {
+      console.error(`[generator] WARNING: Merged ${key} had ${clamped[key].length} items; keeping the first ${max}`);
+      clamped[key] = clamped[key].slice(0, max);
+    }
+  }
+  return clamped;
+}
+
+/**
+ * Distill each chunk into notes and build the merge prompt from them.
+ *
+ * @param {Object} backend - Generation backend
+ * @param {Object} options
+ * @param {string} options.text - Full article text (for the opening passed to the merge step)
+ * @param {string[]} options.chunks
+ * @returns {Promise<{ prompt: string|null, usage: Object }>} prompt is null when no part produced notes
+ */
+async function distillChunks(backend, { text, chunks }) {
+  let usage = { input_tokens: 0, output_tokens: 0 };
+  const notes = [];
+
+  for (const [idx, chunk] of chunks.entries()) {
+    console.error(`[generator] Distilling part ${idx + 1}/${chunks.length} (${chunk.length} chars)`);
+    const response = await backend.complete({
+      system: buildSystemPrompt(MAP_OVERRIDE),
+      text: `Part ${idx + 1} of ${chunks.length}:\n\n${chunk}`,
+      maxTokens: 1024
+    });
+    usage = addUsage(usage, response.usage);
+    const { parsed, error } = parseJSONResponse(response.text.trim(), response);
+    if (parsed) {
+      notes.push(formatNotes(parsed, idx + 1, chunks.length));
+    } else {
+      console.error(`[generator] WARNING: Skipping part ${idx + 1}: ${error}`);
+    }
   }
 
+  if (notes.length === 0) return { prompt: null, usage };
+
+  console.error(`[generator] Merging notes from ${notes.length} part(s)`);
   return {
-    fields,
-    raw,
-    usage: response.usage
+    prompt: `${REDUCE_PREAMBLE}\n\nOpening of the article:\n\n${text.slice(0, REDUCE_OPENING_CHARS)}\n\n---\n\n${notes.join('\n\n')}`,
+    usage
+  };
+}
+
+/**
+ * Follow-up prompt asking the model to fix its previous answer.
+ *
+ * @param {string} prompt - The original prompt
+ * @param {string} raw - The previous response
+ * @param {string[]} errors - What was wrong with it
+ * @returns {string}
+ */
+function correctionPrompt(prompt, raw, errors) {
+  return `${prompt}
+
+---
+
+Your previous response was:
+
+${raw.slice(0, CORRECTION_RESPONSE_CHARS) || '(empty)'}
+
+It has these problems:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Output the corrected JSON only.`;
+}
+
+/**
+ * Generate Zero Gravity fields from article text.
+ * Text longer than `chunkChars` is split on markdown structure and
+ * generated map-reduce style. Output that does not parse or validate is
+ * sent back to the model with its errors, up to `maxAttempts` calls; if
+ * none is valid, the attempt with the fewest errors is returned.
+ *
+ * The result carries a `generation` record for the full JSON when the
+ * article was chunked or the first attempt was not valid.
+ *
+ * @param {Object} backend - Generation backend from backends.cjs, or an Anthropic SDK client
+ * @param {Object} options
+ * @param {string} options.text - Article text to distill
+ * @param {string} [options.slug] - Input filename slug, used for `id` when the title is missing
+ * @param {string} [options.model] - Claude model to use (Anthropic client only)
+ * @param {Object} [options.source] - Fetched page metadata (title, author, published_at, canonical_url)
+ * @param {number} [options.chunkChars] - Longest text generated in one call
+ * @param {number} [options.maxAttempts] - Generation calls before giving up on valid output
+ * @param {Object} [options.cache] - Cache from cache.cjs; valid results are keyed on article hash, prompt hash and model
+ * @returns {Promise<{fields: Object|null, raw: string, usage: Object, model: string, errors: string[], generation: Object|null, cached?: boolean}>}
+ */
+async function generate(backend, {
+  text,
+  slug,
+  model = DEFAULT_MODEL,
+  source = null,
+  chunkChars = DEFAULT_CHUNK_CHARS,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  cache = null
+}) {
+  if (typeof backend.complete !== 'function') {
+    backend = anthropicBackend(backend, { model });
+  }
+
+  // The mock backend is offline and scripted; caching it would replay stale scripts
+  const cacheKey = cache && backend.name !== 'mock' ? {
+    article: hashContent(withSourceContext(text, source)),
+    prompt: hashContent([buildSystemPrompt(), MAP_OVERRIDE, REDUCE_PREAMBLE].join('\n')),
+    backend: backend.name,
+    model: backend.model,
+    slug: slug || null,
+    chunk_chars: chunkChars
+  } : null;
+  const hit = cacheKey && cache.get('generations', cacheKey);
+  if (hit) {
+    console.error('[generator] Cache hit');
+    return { ...hit, usage: { input_tokens: 0, output_tokens: 0 }, cached: true };
+  }
+
+  const chunks = splitChunks(text, { maxChars: chunkChars });
+  const chunked = chunks.length > 1;
+  let usage = { input_tokens: 0, output_tokens: 0 };
+  let prompt = text;
+
+  if (chunked) {
+    const distilled = await distillChunks(backend, { text, chunks });
+    usage = distilled.usage;
+    if (!distilled.prompt) {
+      console.error('[generator] WARNING: No part produced usable notes');
+      return { fields: null, raw: '', usage, model: backend.model, errors: ['No part produced usable notes'], generation: null };
+    }
+    prompt = distilled.prompt;
+  }
+  prompt = withSourceContext(prompt, source);
+
+  const attempts = [];
+  let best = null;
+  let request = prompt;
+  let responseModel = backend.model;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const response = await backend.complete({ system: buildSystemPrompt(), text: request, maxTokens: 2048 });
+    usage = addUsage(usage, response.usage);
+    responseModel = response.model;
+
+    const raw = response.text.trim();
+    const { parsed, error } = parseJSONResponse(raw, response);
+    let fields = null;
+    let errors = [error];
+    if (parsed) {
+      fields = normalizeFields(chunked ? clampLists(parsed) : parsed, deriveId({ title: parsed.title, slug }));
+      errors = validateFullJSON(fields).errors;
+    }
+
+    attempts.push({ errors });
+    // Parsed output always beats unparsed; ties go to the later attempt
+    const better = !best
+      || (fields && !best.fields)
+      || (!!fields === !!best.fields && errors.length <= best.errors.length);
+    if (better) best = { fields, raw, errors };
+    if (errors.length === 0) break;
+
+    console.error(`[generator] WARNING: Attempt ${attempt}/${maxAttempts} failed: ${errors.join('; ')}`);
+    if (attempt < maxAttempts) request = correctionPrompt(prompt, raw, errors);
+  }
+
+  const generation = chunked || attempts.length > 1 || best.errors.length > 0
+    ? { method: chunked ? 'chunked' : 'single', ...(chunked ? { chunks: chunks.length } : {}), attempts }
+    : null;
+
+  const result = {
+    fields: best.fields,
+    raw: best.raw,
+    usage,
+    model: responseModel,
+    errors: best.errors,
+    generation
   };
+  // Only valid output is cached; invalid output is worth another try next run
+  if (cacheKey && best.fields && best.errors.length === 0) {
+    cache.set('generations', cacheKey, {
+      fields: result.fields,
+      raw: result.raw,
+      model: result.model,
+      errors: result.errors,
+      generation: result.generation
+    });
+  }
+  return result;
 }
 
-module.exports = { generate, DEFAULT_MODEL };
+module.exports = { generate, slugify, deriveId, DEFAULT_MODEL, DEFAULT_CHUNK_CHARS, DEFAULT_MAX_ATTEMPTS };
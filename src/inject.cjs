@@ -0,0 +1,150 @@
+/**
+ * Zero Gravity — Inject
+ *
+ * Places a formatted stamp inside a source document, or replaces the
+ * stamp that is already there (data block, code fence and visual header
+ * together, or an HTML script tag) so re-injecting never produces a duplicate.
+ * No external dependencies. No API calls.
+ */
+
+const { ZG_BLOCK_REGEX, ZG_SCRIPT_REGEX } = require('./parser.cjs');
+
+const INJECT_POSITIONS = ['top', 'bottom'];
+
+// Visual header above the data block: optional markdown heading, emoji,
+// "Zero Gravity Stamp", an optional tagline line, then blank lines.
+const HEADER_BEFORE_REGEX = /(?:^|\n)((?:#{1,6}[ \t]*)?(?:🪐[ \t]*)?Zero Gravity Stamp[ \t]*\r?\n(?:Semantic encoding for agents[^\n]*\n)?\s*)$/u;
+
+// YAML front matter at the very start of a markdown file
+const FRONT_MATTER_REGEX = /^---\r?\n[\s\S]*?\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// Closing tags an HTML stamp is placed before, by position
+const HTML_ANCHORS = { top: /<\/head\s*>/i, bottom: /<\/body\s*>/i };
+
+/**
+ * Locate an existing stamp: a data block with its code fence and visual
+ * header, or a script tag, whichever comes first.
+ *
+ * @param {string} text - Document text
+ * @returns {{ start: number, end: number } | null} Character range of the whole stamp
+ */
+function findStampRegion(text) {
+  const match = text.match(ZG_BLOCK_REGEX);
+  const script = text.match(ZG_SCRIPT_REGEX);
+  if (script && (!match || script.index < match.index)) {
+    return { start: script.index, end: script.index + script[0].length };
+  }
+  if (!match) return null;
+
+  let start = match.index;
+  let end = start + match[0].length;
+
+  // Code fence wrapped around the data block
+  const fenceBefore = text.slice(0, start).match(/```[^\n`]*\n$/);
+  const fenceAfter = text.slice(end).match(/^\r?\n```[ \t]*(?=\r?\n|$)/);
+  if (fenceBefore && fenceAfter) {
+    start -= fenceBefore[0].length;
+    end += fenceAfter[0].length;
+  }
+
+  // Visual header above it
+  const header = text.slice(0, start).match(HEADER_BEFORE_REGEX);
+  if (header) {
+    start -= header[1].length;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Insert or replace a stamp in a document.
+ * An existing stamp is replaced in place; otherwise the stamp is added at
+ * `position` — after any front matter for `top`, after the content for `bottom`.
+ * A script tag stamp goes before `</head>` or `</body>` when the document has one.
+ *
+ * @param {string} text - Document text
+ * @param {string} stamp - Formatted stamp (formatStampWithHeader, or formatStampScript for HTML)
+ * @param {Object} [options]
+ * @param {'top'|'bottom'} [options.position='bottom']
+ * @returns {{ text: string, replaced: boolean, changed: boolean }}
+ */
+function injectStamp(text, stamp, { position = 'bottom' } = {}) {
+  const region = findStampRegion(text);
+  const anchor = ZG_SCRIPT_REGEX.test(stamp) ? text.match(HTML_ANCHORS[position] || HTML_ANCHORS.bottom) : null;
+  let result;
+
+  if (region) {
+    result = text.slice(0, region.start) + stamp + text.slice(region.end);
+  } else if (anchor) {
+    // On its own line when the closing tag starts one, else inline (minified
+    // pages), so removeStamps() gives back the page exactly
+    const lineStart = text.lastIndexOf('\n', anchor.index - 1) + 1;
+    result = text.slice(lineStart, anchor.index).trim()
+      ? text.slice(0, anchor.index) + stamp + text.slice(anchor.index)
+      : `${text.slice(0, lineStart)}${stamp}\n${text.slice(lineStart)}`;
+  } else if (position === 'top') {
+    const frontMatter = text.match(FRONT_MATTER_REGEX);
+    const head = frontMatter ? frontMatter[0] : '';
+    const rest = text.slice(head.length).replace(/^\s+/, '');
+    result = `${head}${head ? '\n' : ''}${stamp}\n\n${rest}`;
+  } else {
+    const body = text.replace(/\s+$/, '');
+    result = body ? `${body}\n\n${stamp}\n` : `${stamp}\n`;
+  }
+
+  return { text: result, replaced: !!region, changed: result !== text };
+}
+
+/**
+ * Insert or replace a stamp inside one range of a document (e.g. an H2
+ * section). The stamp goes at the end of the range's content; whitespace
+ * separating the range from what follows is preserved.
+ *
+ * @param {string} text - Document text
+ * @param {{ start: number, end: number }} range
+ * @param {string} stamp - Formatted stamp
+ * @returns {{ text: string, replaced: boolean, changed: boolean }}
+ */
+function injectStampInRange(text, { start, end }, stamp) {
+  const slice = text.slice(start, end);
+  const content = slice.replace(/\s+$/, '');
+  const trailing = slice.slice(content.length) || '\n';
+
+  const inner = injectStamp(content, stamp, { position: 'bottom' });
+  const replacement = inner.text.replace(/\n$/, '') + trailing;
+  const result = text.slice(0, start) + replacement + text.slice(end);
+
+  return { text: result, replaced: inner.replaced, changed: result !== text };
+}
+
+/**
+ * Remove every stamp (with its fence and header, or script tag) from a document, so
+ * generation and content hashing see only the article itself.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function removeStamps(text) {
+  let result = text;
+  let region;
+  while ((region = findStampRegion(result)) !== null) {
+    if (/^<script\b/i.test(result.slice(region.start, region.end))) {
+      // A script tag takes its own line with it, if it had one
+      const before = result.slice(0, region.start);
+      const after = result.slice(region.end);
+      const ownLine = /(^|\n)[ \t]*$/.test(before) && /^[ \t]*(\r?\n|$)/.test(after);
+      result = ownLine ? before.replace(/[ \t]*$/, '') + after.replace(/^[ \t]*\r?\n?/, '') : before + after;
+      continue;
+    }
+    const before = result.slice(0, region.start).replace(/\s+$/, '');
+    const after = result.slice(region.end).replace(/^\s+/, '');
+    if (before && after) {
+      result = `${before}\n\n${after}`;
+    } else {
+      result = before || after ? `${before || after}\n` : '';
+    }
+  }
+  return result;
+}
+
+module.exports = { findStampRegion, injectStamp, injectStampInRange, removeStamps, INJECT_POSITIONS };
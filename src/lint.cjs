@@ -0,0 +1,261 @@
+/**
+ * Zero Gravity — Lint
+ *
+ * Quality checks for metaindex entries beyond what validation covers,
+ * following the skill's guidance: entries should be unique key phrases,
+ * argument distillations or notable snippets from the article. Flags
+ * duplicates and overlaps, generic terms, length outliers, quotes that
+ * are not in the source, and entries unrelated to the article.
+ * No external dependencies. No API calls.
+ */
+
+const { validateStamp, validateFullJSON } = require('./parser.cjs');
+
+/**
+ * Rule ids and what they check. Severity is per finding: errors fail
+ * `lint`, warnings fail it only with --strict, info never does.
+ */
+const LINT_RULES = {
+  valid: 'The stamp or full JSON passes validation',
+  duplicate: 'No two entries say the same thing word for word',
+  overlap: 'No entry is contained in, or mostly the same words as, another',
+  generic: 'Entries and tags are specific to the article, not generic terms like "AI"',
+  length: 'Entries are not longer than the intent, nor far longer than the other entries',
+  quote: 'Quoted snippets appear in the source article',
+  'off-topic': 'Every entry shares words with the source article',
+  mix: 'Entries mix key phrases, argument distillations and snippets'
+};
+
+// Terms too broad to help retrieval on their own
+const GENERIC_TERMS = new Set([
+  'ai', 'artificial', 'intelligence', 'machine', 'learning', 'ml', 'llm', 'llms', 'technology', 'tech',
+  'software', 'data', 'business', 'innovation', 'future', 'productivity', 'digital', 'internet', 'web',
+  'computer', 'computers', 'science', 'research', 'article', 'blog', 'post', 'news', 'update', 'tips',
+  'guide', 'overview', 'introduction', 'insights', 'trends', 'strategy', 'development', 'design',
+  'engineering', 'programming', 'code', 'coding', 'tools', 'tool', 'startup', 'startups', 'management',
+  'leadership', 'marketing', 'growth', 'success', 'ideas', 'thoughts', 'analysis', 'discussion', 'things'
+]);
+
+// Words that carry no topic on their own
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'nor', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from',
+  'as', 'into', 'onto', 'over', 'under', 'about', 'than', 'then', 'so', 'if', 'is', 'are', 'was', 'were',
+  'be', 'been', 'being', 'it', 'its', 'this', 'that', 'these', 'those', 'not', 'no', 'can', 'could',
+  'should', 'would', 'will', 'do', 'does', 'did', 'has', 'have', 'had', 'we', 'you', 'they', 'he', 'she',
+  'i', 'our', 'your', 'their', 'his', 'her', 'my', 'what', 'which', 'who', 'how', 'why', 'when', 'where',
+  'all', 'any', 'more', 'most', 'less', 'very', 'just', 'only', 'also', 'via', 'vs', 'up', 'out'
+]);
+
+// Paired quote characters that mark an entry as a snippet
+const QUOTE_PAIRS = [['"', '"'], ['“', '”'], ['‘', '’'], ["'", "'"], ['«', '»']];
+
+// Token Jaccard similarity at which two entries overlap
+const OVERLAP_THRESHOLD = 0.7;
+
+// An entry this many times the median entry length is an outlier
+const LENGTH_OUTLIER_RATIO = 3;
+
+// Entries with at most this many words count as key phrases
+const KEY_PHRASE_MAX_WORDS = 4;
+
+/**
+ * Lowercase words with punctuation removed, for matching against the article.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeForMatch(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[^\p{L}\p{N}']+/gu, ' ')
+    .replace(/(^|\s)'+|'+(?=\s|$)/g, '$1')
+    .trim();
+}
+
+/**
+ * Topic-bearing words of a text, with plural "s" stripped.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function contentTokens(text) {
+  return normalizeForMatch(text)
+    .split(/\s+/)
+    .filter(token => token && !STOPWORDS.has(token))
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+/**
+ * Whether a token, or a word sharing its stem, occurs in the article.
+ * Stems are approximated by a shared prefix of at least four letters
+ * covering all but the last three letters of the shorter word
+ * ("parser" / "parsing", "validation" / "validate").
+ *
+ * @param {string} token
+ * @param {Set<string>} articleTokens
+ * @returns {boolean}
+ */
+function inArticle(token, articleTokens) {
+  if (articleTokens.has(token)) return true;
+  for (const other of articleTokens) {
+    const need = Math.max(4, Math.min(token.length, other.length) - 3);
+    if (token.length >= need && other.length >= need && token.slice(0, need) === other.slice(0, need)) return true;
+  }
+  return false;
+}
+
+/**
+ * The quoted part of an entry: the whole entry when it is wrapped in
+ * quotes, or the longest quoted span of three or more words inside it.
+ *
+ * @param {string} entry
+ * @returns {string|null}
+ */
+function quotedText(entry) {
+  const trimmed = entry.trim();
+  for (const [open, close] of QUOTE_PAIRS) {
+    if (trimmed.length > 2 && trimmed.startsWith(open) && trimmed.endsWith(close)) {
+      return trimmed.slice(open.length, -close.length);
+    }
+  }
+  const spans = [...trimmed.matchAll(/["“]([^"”]+)["”]/g)]
+    .map(m => m[1])
+    .filter(span => span.trim().split(/\s+/).length >= 3)
+    .sort((a, b) => b.length - a.length);
+  return spans[0] || null;
+}
+
+/**
+ * Which of the skill's three kinds an entry is.
+ *
+ * @param {string} entry
+ * @param {string|null} article - Normalized article text
+ * @returns {'snippet'|'key_phrase'|'argument'}
+ */
+function classifyEntry(entry, article) {
+  if (quotedText(entry)) return 'snippet';
+  const words = entry.trim().split(/\s+/);
+  const normalized = normalizeForMatch(entry);
+  if (article && words.length > KEY_PHRASE_MAX_WORDS && ` ${article} `.includes(` ${normalized} `)) return 'snippet';
+  return words.length <= KEY_PHRASE_MAX_WORDS ? 'key_phrase' : 'argument';
+}
+
+/**
+ * Median of a list of numbers.
+ *
+ * @param {number[]} values
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Lint a stamp's or full JSON's metaindex (and tags, when present).
+ *
+ * The score is out of 100: 70% rule findings (each error costs a quarter,
+ * each warning 8%) and 30% how many of the three entry kinds appear.
+ *
+ * @param {Object} fields - Stamp fields or full JSON
+ * @param {Object} [options]
+ * @param {'stamp'|'json'} [options.kind='stamp']
+ * @param {string} [options.articleText] - Source article; enables the quote and off-topic rules
+ * @returns {{ score: number, kinds: { key_phrase: number, argument: number, snippet: number }, findings: Array<{ rule: string, severity: 'error'|'warning'|'info', field?: string, index?: number, entry?: string, message: string }> }}
+ */
+function lintFields(fields, { kind = 'stamp', articleText } = {}) {
+  const findings = [];
+  const add = (rule, severity, message, where = {}) => findings.push({ rule, severity, ...where, message });
+
+  const validation = kind === 'json' ? validateFullJSON(fields) : validateStamp(fields);
+  for (const error of validation.errors) add('valid', 'error', error);
+
+  const entries = (Array.isArray(fields.metaindex) ? fields.metaindex : []).filter(e => typeof e === 'string');
+  const at = idx => ({ field: 'metaindex', index: idx, entry: entries[idx] });
+  const article = typeof articleText === 'string' ? normalizeForMatch(articleText) : null;
+  const articleTokens = article ? new Set(contentTokens(article)) : null;
+
+  // duplicate / overlap
+  const tokenSets = entries.map(e => new Set(contentTokens(e)));
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = 0; j < i; j++) {
+      if (normalizeForMatch(entries[i]) === normalizeForMatch(entries[j])) {
+        add('duplicate', 'error', `Duplicates metaindex[${j}]`, at(i));
+        break;
+      }
+      const [a, b] = [tokenSets[i], tokenSets[j]];
+      if (a.size === 0 || b.size === 0) continue;
+      const shared = [...a].filter(t => b.has(t)).length;
+      const jaccard = shared / (a.size + b.size - shared);
+      if (jaccard >= OVERLAP_THRESHOLD || shared === Math.min(a.size, b.size)) {
+        add('overlap', 'warning', `Overlaps metaindex[${j}] "${entries[j]}"`, at(i));
+        break;
+      }
+    }
+  }
+
+  // generic
+  const isGeneric = text => {
+    const tokens = contentTokens(text);
+    return tokens.length > 0 && tokens.length <= 3 && tokens.every(t => GENERIC_TERMS.has(t));
+  };
+  entries.forEach((entry, idx) => {
+    if (isGeneric(entry)) add('generic', 'warning', 'Generic term; name what is specific to this article', at(idx));
+  });
+  (Array.isArray(fields.tags) ? fields.tags : []).forEach((tag, idx) => {
+    if (typeof tag === 'string' && isGeneric(tag.replace(/-/g, ' '))) {
+      add('generic', 'warning', 'Generic tag', { field: 'tags', index: idx, entry: tag });
+    }
+  });
+
+  // length — against the stamp's intent sentence; the full JSON's intent is an enum, so its relevance sentence
+  const purposeField = kind === 'json' ? 'relevance' : 'intent';
+  const intentLength = typeof fields[purposeField] === 'string' ? fields[purposeField].length : 0;
+  const typical = entries.length >= 4 ? median(entries.map(e => e.length)) : 0;
+  entries.forEach((entry, idx) => {
+    if (intentLength && entry.length > intentLength) {
+      add('length', 'warning', `Longer than the ${purposeField} (${entry.length} > ${intentLength} chars)`, at(idx));
+    } else if (typical && entry.length > typical * LENGTH_OUTLIER_RATIO) {
+      add('length', 'warning', `${Math.round(entry.length / typical)}x the median entry length`, at(idx));
+    }
+  });
+
+  // quote / off-topic
+  if (article) {
+    const skip = new Set([fields.author, fields.title].filter(Boolean).map(normalizeForMatch));
+    entries.forEach((entry, idx) => {
+      const quote = quotedText(entry);
+      if (quote && !` ${article} `.includes(` ${normalizeForMatch(quote)} `)) {
+        add('quote', 'error', 'Quoted text does not appear in the article', at(idx));
+        return;
+      }
+      const tokens = contentTokens(entry);
+      if (tokens.length > 0 && !skip.has(normalizeForMatch(entry)) && !tokens.some(t => inArticle(t, articleTokens))) {
+        add('off-topic', 'warning', 'Shares no words with the article', at(idx));
+      }
+    });
+  }
+
+  // mix
+  const kinds = { key_phrase: 0, argument: 0, snippet: 0 };
+  for (const entry of entries) kinds[classifyEntry(entry, article)]++;
+  const missing = Object.keys(kinds).filter(k => kinds[k] === 0);
+  if (entries.length > 0 && missing.length > 0) {
+    add('mix', 'info', `No ${missing.map(k => k.replace('_', ' ')).join(' or ')} entries`);
+  }
+
+  const errors = findings.filter(f => f.severity === 'error').length;
+  const warnings = findings.filter(f => f.severity === 'warning').length;
+  const ruleScore = Math.max(0, 1 - 0.25 * errors - 0.08 * warnings);
+  const coverage = (3 - missing.length) / 3;
+
+  return {
+    score: entries.length > 0 ? Math.round(100 * (0.7 * ruleScore + 0.3 * coverage)) : 0,
+    kinds,
+    findings
+  };
+}
+
+module.exports = { lintFields, LINT_RULES };
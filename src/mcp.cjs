@@ -0,0 +1,380 @@
+/**
+ * Zero Gravity — MCP Server
+ *
+ * Model Context Protocol server over stdio (newline-delimited JSON-RPC 2.0),
+ * so agents can parse stamps, stamp text, and query the .zg.json corpus as
+ * tools instead of shelling out to the CLI. Tool output schemas come from
+ * schemas.cjs, i.e. the spec's field tables.
+ *
+ * stdout carries protocol messages only; logs go to stderr.
+ */
+
+const readline = require('readline');
+const { parseZG, parseAllZG, validateFullJSON, formatStampWithHeader, stampFieldsFromJSON } = require('./parser.cjs');
+const { generate } = require('./generator.cjs');
+const { embed, buildFullJSON, hashText } = require('./embedder.cjs');
+const { loadCorpus, corpusSlug, findInCorpus } = require('./corpus.cjs');
+const { STAMP_SCHEMA, FULL_JSON_SCHEMA } = require('./schemas.cjs');
+const { createGenerationBackend, createEmbeddingProvider } = require('./providers.cjs');
+const { meterBackend, meterEmbedder } = require('./usage.cjs');
+const { CURRENT_VERSION } = require('./versions.cjs');
+
+const SERVER_NAME = 'zero-gravity';
+const SERVER_VERSION = require('../package.json').version;
+
+// Newest first; the client's version is used when we support it
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+const VALIDATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    valid: { type: 'boolean' },
+    errors: { type: 'array', items: { type: 'string' } },
+    warnings: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['valid', 'errors']
+};
+
+// Value constraints a nested schema loses: parse_stamp and stamp_text return
+// fields that failed validation as they are, with the errors alongside
+const CONSTRAINT_KEYWORDS = ['required', 'pattern', 'enum', 'const', 'minimum', 'minItems', 'maxItems'];
+
+/**
+ * Nest a spec schema in an output schema: drop the $schema/$id/title
+ * envelope and the value constraints, keeping the shape (types, properties,
+ * items) and descriptions.
+ *
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function nested({ $schema, $id, title, ...schema }) {
+  const shape = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (CONSTRAINT_KEYWORDS.includes(key)) continue;
+    if (key === 'properties') {
+      shape.properties = Object.fromEntries(Object.entries(value).map(([name, property]) => [name, nested(property)]));
+    } else if (key === 'items' && value && typeof value === 'object') {
+      shape.items = nested(value);
+    } else {
+      shape[key] = value;
+    }
+  }
+  return shape;
+}
+
+const CORPUS_ENTRY_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: ['string', 'null'] },
+    slug: { type: 'string', description: 'File name without .zg.json' },
+    title: { type: ['string', 'null'] },
+    intent: { type: ['string', 'null'] },
+    source_url: { type: ['string', 'null'] },
+    embedded: { type: 'boolean' }
+  },
+  required: ['slug']
+};
+
+/**
+ * Tool definitions advertised by tools/list.
+ */
+const TOOLS = [
+  {
+    name: 'parse_stamp',
+    description: 'Parse the Zero Gravity stamp in a document (text block or HTML script tag) and validate it. Free: no model call.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Document text (markdown or HTML)' },
+        all: { type: 'boolean', description: 'Return every stamp in the document, not just the first' }
+      },
+      required: ['text']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        stamps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              version: { type: 'string' },
+              fields: nested(STAMP_SCHEMA),
+              start: { type: 'integer' },
+              end: { type: 'integer' },
+              validation: VALIDATION_SCHEMA
+            },
+            required: ['version', 'fields', 'validation']
+          }
+        }
+      },
+      required: ['stamps']
+    }
+  },
+  {
+    name: 'stamp_text',
+    description: 'Generate Zero Gravity fields for article text: the full JSON and the inline stamp. Calls the configured generation model.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Article text to distill' },
+        slug: { type: 'string', description: 'Fallback id when the article has no title' },
+        embed: { type: 'boolean', description: 'Also compute an embedding with the configured provider' }
+      },
+      required: ['text']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        json: nested(FULL_JSON_SCHEMA),
+        stamp: { type: 'string', description: 'Formatted stamp, ready to place in the article' },
+        validation: VALIDATION_SCHEMA
+      },
+      required: ['json', 'stamp', 'validation']
+    }
+  },
+  {
+    name: 'lookup_stamp',
+    description: 'Look up an article in the stamped corpus by its URL (source or canonical) or by id/slug.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'Article URL' },
+        id: { type: 'string', description: 'Full JSON id or file slug' }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        found: { type: 'boolean' },
+        slug: { type: 'string' },
+        json: nested(FULL_JSON_SCHEMA),
+        stamp: nested(STAMP_SCHEMA)
+      },
+      required: ['found']
+    }
+  },
+  {
+    name: 'list_corpus',
+    description: 'List the stamped articles in the corpus.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, description: 'Maximum entries to return (default 100)' },
+        offset: { type: 'integer', minimum: 0, description: 'Entries to skip' }
+      }
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        entries: { type: 'array', items: CORPUS_ENTRY_SCHEMA }
+      },
+      required: ['total', 'entries']
+    }
+  }
+];
+
+/**
+ * A JSON-RPC error.
+ */
+class RpcError extends Error {
+  /**
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+  }
+}
+
+/**
+ * Build the tool implementations.
+ *
+ * @param {Object} options - See createMcpServer()
+ * @returns {Object<string, function(Object): Promise<Object>>}
+ */
+function createTools({ corpusDir, backend, model, provider, meter }) {
+  return {
+    async parse_stamp({ text, all }) {
+      if (typeof text !== 'string') throw new RpcError(INVALID_PARAMS, '"text" must be a string');
+      const stamps = all ? parseAllZG(text) : [parseZG(text)].filter(Boolean);
+      return {
+        stamps: stamps.map(({ version, fields, start, end, validation }) => ({ version, fields, start, end, validation }))
+      };
+    },
+
+    async stamp_text({ text, slug, embed: withEmbedding }) {
+      if (typeof text !== 'string' || !text.trim()) throw new RpcError(INVALID_PARAMS, '"text" must be a non-empty string');
+      const source = slug || null;
+      const generationBackend = createGenerationBackend({ name: backend, model });
+      const result = await generate(meter ? meterBackend(generationBackend, meter, { source }) : generationBackend, { text, slug });
+      if (!result.fields) {
+        throw new Error(`Failed to generate valid fields. Raw output: ${result.raw.slice(0, 500)}`);
+      }
+      let embedding = null;
+      if (withEmbedding) {
+        const embedder = createEmbeddingProvider(provider);
+        embedding = await embed(meter ? meterEmbedder(embedder, meter, { source }) : embedder, { fields: result.fields });
+      }
+      return {
+        json: buildFullJSON({
+          fields: result.fields,
+          embedding,
+          sourceHash: hashText(text),
+          model: result.model,
+          generation: result.generation
+        }),
+        stamp: formatStampWithHeader(stampFieldsFromJSON(result.fields, { model: result.model })),
+        validation: validateFullJSON(result.fields)
+      };
+    },
+
+    async lookup_stamp({ url, id }) {
+      if (!url && !id) throw new RpcError(INVALID_PARAMS, 'Pass "url" or "id"');
+      const entry = findInCorpus(loadCorpus(corpusDir), { id, url });
+      if (!entry) return { found: false };
+      const { json } = entry;
+      return {
+        found: true,
+        slug: corpusSlug(entry.file),
+        json,
+        stamp: {
+          encoding: 'zero-gravity',
+          version: json.version || CURRENT_VERSION,
+          ...stampFieldsFromJSON(json, { model: json.model, manifest: json.manifest })
+        }
+      };
+    },
+
+    async list_corpus({ limit = 100, offset = 0 }) {
+      if (!Number.isInteger(limit) || limit < 1) throw new RpcError(INVALID_PARAMS, '"limit" must be an integer of at least 1');
+      if (!Number.isInteger(offset) || offset < 0) throw new RpcError(INVALID_PARAMS, '"offset" must be a non-negative integer');
+      const corpus = loadCorpus(corpusDir);
+      return {
+        total: corpus.length,
+        entries: corpus.slice(offset, offset + limit).map(({ file, json }) => ({
+          id: json.id || null,
+          slug: corpusSlug(file),
+          title: json.title || null,
+          intent: json.intent || null,
+          source_url: json.source_url || null,
+          embedded: !!json.embedding
+        }))
+      };
+    }
+  };
+}
+
+/**
+ * Start an MCP server on a pair of streams (stdio by default).
+ *
+ * @param {Object} options
+ * @param {string} options.corpusDir - Directory of .zg.json files
+ * @param {string} [options.backend] - Generation backend for stamp_text
+ * @param {string} [options.model] - Generation model
+ * @param {string} [options.provider='openai'] - Embedding provider for stamp_text
+ * @param {Object|null} [options.meter] - Meter from usage.cjs that ledgers and budgets model calls
+ * @param {NodeJS.ReadableStream} [options.input=process.stdin]
+ * @param {NodeJS.WritableStream} [options.output=process.stdout]
+ * @param {function(string): void} [options.log] - Logger (stderr)
+ * @returns {Promise<void>} Resolves when the input stream closes
+ */
+function createMcpServer({
+  corpusDir,
+  backend,
+  model,
+  provider = 'openai',
+  meter = null,
+  input = process.stdin,
+  output = process.stdout,
+  log = () => {}
+}) {
+  const tools = createTools({ corpusDir, backend, model, provider, meter });
+  const send = message => output.write(`${JSON.stringify(message)}\n`);
+
+  const methods = {
+    initialize: async (params) => ({
+      protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+      capabilities: { tools: {} },
+      serverInfo: { name: SERVER_NAME, version: SERVER_VERSION }
+    }),
+
+    ping: async () => ({}),
+
+    'tools/list': async () => ({ tools: TOOLS }),
+
+    'tools/call': async (params) => {
+      const tool = tools[params.name];
+      if (!tool) throw new RpcError(INVALID_PARAMS, `Unknown tool: ${params.name}`);
+      try {
+        const structured = await tool(params.arguments || {});
+        return {
+          content: [{ type: 'text', text: JSON.stringify(structured, null, 2) }],
+          structuredContent: structured
+        };
+      } catch (error) {
+        if (error instanceof RpcError) throw error;
+        // Tool failures are results the model can see, not protocol errors
+        log(`${params.name} failed: ${error.message}`);
+        return { content: [{ type: 'text', text: error.message }], isError: true };
+      }
+    }
+  };
+
+  async function handle(message) {
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      if (message && message.id !== undefined && message.method === undefined) return; // a response; we send no requests
+      throw new RpcError(INVALID_REQUEST, 'Invalid JSON-RPC request');
+    }
+    const isNotification = message.id === undefined;
+    const method = methods[message.method];
+
+    if (!method) {
+      if (isNotification) return; // e.g. notifications/initialized
+      throw new RpcError(METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    }
+
+    const result = await method(message.params || {});
+    if (!isNotification) send({ jsonrpc: '2.0', id: message.id, result });
+  }
+
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    const pending = new Set();
+
+    rl.on('line', (line) => {
+      if (!line.trim()) return;
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (e) {
+        send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: `Parse error: ${e.message}` } });
+        return;
+      }
+
+      const task = handle(message)
+        .catch((error) => {
+          const code = error instanceof RpcError ? error.code : INTERNAL_ERROR;
+          send({ jsonrpc: '2.0', id: message && message.id !== undefined ? message.id : null, error: { code, message: error.message } });
+        })
+        .finally(() => pending.delete(task));
+      pending.add(task);
+    });
+
+    rl.on('close', () => {
+      Promise.all(pending).then(() => resolve());
+    });
+  });
+}
+
+module.exports = { createMcpServer, TOOLS, PROTOCOL_VERSIONS };
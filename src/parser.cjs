@@ -1,34 +1,114 @@
 /**
  * Zero Gravity — Stamp Parser
  *
- * Pure JavaScript parser for Zero Gravity v0.1 stamps and full JSON.
+ * Pure JavaScript parser for Zero Gravity stamps and full JSON.
+ * Reads both the text data block and the HTML
+ * `<script type="application/zero-gravity">` form. Validation is
+ * dispatched on the declared version through versions.cjs.
  * No external dependencies. No API calls.
  */
 
+const {
+  validateStampForVersion,
+  validateFullJSONForVersion,
+  CURRENT_VERSION,
+  STAMP_FIELD_ORDER,
+  STAMP_REQUIRED_FIELDS,
+  JSON_REQUIRED_FIELDS,
+  JSON_LIST_FIELDS,
+  INTENT_VALUES,
+  STANCE_VALUES,
+  ID_REGEX
+} = require('./versions.cjs');
+
 // Matches the data block: ---BEGIN ZERO GRAVITY--- ... ---END ZERO GRAVITY---
-const ZG_BLOCK_REGEX = /---BEGIN ZERO GRAVITY---\n([\s\S]*?)\n---END ZERO GRAVITY---/;
+// Tolerates CRLF line endings and indentation before the closing delimiter.
+const ZG_BLOCK_REGEX = /---BEGIN ZERO GRAVITY---[ \t]*\r?\n([\s\S]*?)\r?\n[ \t]*---END ZERO GRAVITY---/;
+
+// Matches the HTML form: <script type="application/zero-gravity"> ... </script>
+// The type must end there: application/zero-gravity+json is a full JSON, not a stamp.
+const ZG_SCRIPT_REGEX = /<script\b[^>]*\btype\s*=\s*["']?application\/zero-gravity(?=["'\s>])["']?[^>]*>([\s\S]*?)<\/script\s*>/i;
+
+// MIME type for the HTML script tag
+const ZG_SCRIPT_TYPE = 'application/zero-gravity';
 
-// Stamp required fields
-const STAMP_REQUIRED_FIELDS = ['encoding', 'version', 'title', 'intent', 'metaindex'];
+// Field names in a data block
+const KEY_REGEX = /^[A-Za-z][\w-]*$/;
 
-// Full JSON required fields (from generator output)
-const JSON_REQUIRED_FIELDS = ['title', 'intent', 'metaindex'];
+// Escape sequences inside double-quoted values (spec: Escaping)
+const ESCAPES = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+const UNESCAPES = { '\\': '\\', '"': '"', n: '\n', r: '\r', t: '\t' };
+
+
+/**
+ * Extract every data block from text, in document order.
+ *
+ * @param {string} text - Full document text
+ * @returns {Array<{ raw: string, body: string, line: number, start: number, end: number }>}
+ */
+function extractBlocks(text) {
+  const blocks = [];
+  const regex = new RegExp(ZG_BLOCK_REGEX.source, 'g');
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    // Document line number of the first body line (line after the opener)
+    const bodyStart = match.index + match[0].indexOf('\n') + 1;
+    blocks.push({
+      raw: match[0],
+      body: match[1],
+      line: text.slice(0, bodyStart).split('\n').length,
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
 
+  return blocks;
+}
 
 /**
  * Extract a data block from text.
  *
  * @param {string} text - Full document text
- * @returns {{ raw: string, body: string } | null}
+ * @returns {{ raw: string, body: string, line: number, start: number, end: number } | null}
  */
 function extractBlock(text) {
   const match = text.match(ZG_BLOCK_REGEX);
   if (!match) return null;
+  return extractBlocks(text.slice(0, match.index + match[0].length))[0];
+}
 
-  return {
-    raw: match[0],
-    body: match[1]
-  };
+/**
+ * Extract the JSON body of every `<script type="application/zero-gravity">` tag.
+ *
+ * @param {string} text - Full HTML document
+ * @returns {Array<{ raw: string, body: string, start: number, end: number }>}
+ */
+function extractScripts(text) {
+  const scripts = [];
+  const regex = new RegExp(ZG_SCRIPT_REGEX.source, 'gi');
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    scripts.push({
+      raw: match[0],
+      body: match[1].trim(),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return scripts;
+}
+
+/**
+ * Extract the JSON body of a `<script type="application/zero-gravity">` tag.
+ *
+ * @param {string} text - Full HTML document
+ * @returns {{ raw: string, body: string, start: number, end: number } | null}
+ */
+function extractScript(text) {
+  return extractScripts(text)[0] || null;
 }
 
 /**
@@ -47,39 +127,104 @@ function stripQuotes(value) {
 }
 
 /**
- * Parse the body of a data block into fields.
+ * Escape a value for use inside double quotes in a data block.
+ * Backslash, double quote, newline, carriage return and tab are escaped.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeValue(value) {
+  return String(value).replace(/[\\"\n\r\t]/g, ch => ESCAPES[ch]);
+}
+
+/**
+ * Parse a single field value.
+ * Double-quoted values have their escape sequences decoded. Single-quoted
+ * and bare values are taken literally, as in earlier parsers.
+ *
+ * @param {string} raw - Value text after the colon or list dash
+ * @returns {{ value: string, error: string|null }}
+ */
+function parseValue(raw) {
+  const trimmed = raw.trim();
+  if (!trimmed.startsWith('"')) {
+    return { value: stripQuotes(trimmed), error: null };
+  }
+
+  let value = '';
+  for (let i = 1; i < trimmed.length; i++) {
+    const ch = trimmed[i];
+    if (ch === '\\' && i + 1 < trimmed.length) {
+      const next = trimmed[++i];
+      value += Object.prototype.hasOwnProperty.call(UNESCAPES, next) ? UNESCAPES[next] : ch + next;
+    } else if (ch === '"') {
+      if (i === trimmed.length - 1) return { value, error: null };
+      // Unescaped inner quote — fall back to the lenient reading
+      return { value: stripQuotes(trimmed), error: 'unescaped quote inside value' };
+    } else {
+      value += ch;
+    }
+  }
+
+  return { value: trimmed.slice(1), error: 'unterminated quoted value' };
+}
+
+/**
+ * Parse the body of a data block into fields, collecting malformed lines.
  * YAML-style: key: "value" for strings, key:\n  - "item" for lists.
  *
  * @param {string} body - Block body (content between delimiters)
- * @returns {Object} Parsed fields
+ * @param {Object} [options]
+ * @param {number} [options.line=1] - Line number of the first body line, for error messages
+ * @returns {{ fields: Object, errors: string[] }}
  */
-function parseBlock(body) {
+function parseBlockDetailed(body, { line = 1 } = {}) {
   const fields = {};
-  const lines = body.split('\n');
+  const errors = [];
+  const lines = body.split(/\r?\n/);
+  const report = (idx, message) => errors.push(`Line ${line + idx}: ${message}`);
   let i = 0;
 
   while (i < lines.length) {
-    const line = lines[i];
-    const trimmed = line.trim();
+    const trimmed = lines[i].trim();
     if (!trimmed) { i++; continue; }
 
+    if (trimmed === '-' || trimmed.startsWith('- ')) {
+      report(i, 'list item without a list field');
+      i++;
+      continue;
+    }
+
     const colonIdx = trimmed.indexOf(':');
-    if (colonIdx === -1) { i++; continue; }
+    if (colonIdx === -1) {
+      report(i, `expected "key: value" (got "${trimmed}")`);
+      i++;
+      continue;
+    }
 
     const key = trimmed.slice(0, colonIdx).trim();
     const afterColon = trimmed.slice(colonIdx + 1).trim();
 
-    if (!key) { i++; continue; }
+    if (!KEY_REGEX.test(key)) {
+      report(i, `invalid field name "${key}"`);
+      i++;
+      continue;
+    }
+    if (Object.prototype.hasOwnProperty.call(fields, key)) {
+      report(i, `duplicate field "${key}"`);
+    }
 
     // Check if this is a multi-line list (key: with nothing after, followed by - items)
     if (afterColon === '') {
+      const keyLine = i;
       const items = [];
       i++;
       while (i < lines.length) {
-        const nextLine = lines[i];
-        const nextTrimmed = nextLine.trim();
+        const nextTrimmed = lines[i].trim();
         if (nextTrimmed.startsWith('- ')) {
-          items.push(stripQuotes(nextTrimmed.slice(2)));
+          const item = parseValue(nextTrimmed.slice(2));
+          if (item.error) report(i, `${key}: ${item.error}`);
+          items.push(item.value);
           i++;
         } else {
           break;
@@ -87,92 +232,199 @@ function parseBlock(body) {
       }
       if (items.length > 0) {
         fields[key] = items;
+      } else {
+        report(keyLine, `field "${key}" has no value`);
       }
       continue;
     }
 
     // Single-value field
-    fields[key] = stripQuotes(afterColon);
+    const parsed = parseValue(afterColon);
+    if (parsed.error) report(i, `${key}: ${parsed.error}`);
+    fields[key] = parsed.value;
     i++;
   }
 
-  return fields;
+  return { fields, errors };
+}
+
+/**
+ * Parse the body of a data block into fields.
+ * YAML-style: key: "value" for strings, key:\n  - "item" for lists.
+ *
+ * @param {string} body - Block body (content between delimiters)
+ * @returns {Object} Parsed fields
+ */
+function parseBlock(body) {
+  return parseBlockDetailed(body).fields;
 }
 
 /**
- * Validate a parsed stamp.
+ * Validate a parsed stamp with the rules of its declared version.
+ * Unknown versions get a warning instead of being checked against the wrong rules.
+ * `details` pairs each error with the field path it is about.
  *
  * @param {Object} fields - Parsed fields from parseBlock
- * @returns {{ valid: boolean, errors: string[] }}
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], details: Array<{ path: string, message: string }> }}
  */
 function validateStamp(fields) {
-  const errors = [];
+  return validateStampForVersion(fields);
+}
 
-  for (const field of STAMP_REQUIRED_FIELDS) {
-    if (!fields[field]) {
-      errors.push(`Missing required stamp field: ${field}`);
-    } else if (typeof fields[field] === 'string' && fields[field].trim() === '') {
-      errors.push(`Required stamp field is empty: ${field}`);
-    } else if (Array.isArray(fields[field]) && fields[field].length === 0) {
-      errors.push(`Required stamp field is empty: ${field}`);
-    }
-  }
+/**
+ * Validate full JSON fields (from generator output) with the rules of
+ * their declared version (the current version when none is declared).
+ *
+ * @param {Object} json - Parsed full JSON
+ * @param {Object} [options]
+ * @param {boolean} [options.envelope=false] - Also require encoding and version, as in a .zg.json file
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], details: Array<{ path: string, message: string }> }}
+ */
+function validateFullJSON(json, options) {
+  return validateFullJSONForVersion(json, options);
+}
 
-  if (fields.encoding && fields.encoding !== 'zero-gravity') {
-    errors.push(`Unexpected encoding: "${fields.encoding}" (expected "zero-gravity")`);
-  }
+/**
+ * Parse an extracted data block.
+ *
+ * @param {{ raw: string, body: string, line: number, start: number, end: number }} extracted
+ * @returns {Object} parseZG() result
+ */
+function parseExtractedBlock(extracted) {
+  const { fields, errors } = parseBlockDetailed(extracted.body, { line: extracted.line });
+  const stampValidation = validateStamp(fields);
+  const allErrors = [...errors, ...stampValidation.errors];
 
-  return { valid: errors.length === 0, errors };
+  return {
+    version: fields.version || CURRENT_VERSION,
+    fields,
+    raw: extracted.raw,
+    start: extracted.start,
+    end: extracted.end,
+    validation: {
+      valid: allErrors.length === 0,
+      errors: allErrors,
+      warnings: stampValidation.warnings,
+      // Syntax errors are about lines, not fields
+      details: [...errors.map(message => ({ path: null, message })), ...stampValidation.details]
+    }
+  };
 }
 
 /**
- * Validate full JSON fields (from generator output).
+ * Validation result for a script tag whose body is not a stamp object.
  *
- * @param {Object} json - Parsed full JSON
- * @returns {{ valid: boolean, errors: string[] }}
+ * @param {string} message
+ * @returns {Object}
  */
-function validateFullJSON(json) {
-  const errors = [];
+function invalidScript(message) {
+  return { valid: false, errors: [message], warnings: [], details: [{ path: null, message }] };
+}
 
-  for (const field of JSON_REQUIRED_FIELDS) {
-    if (json[field] === undefined || json[field] === null) {
-      errors.push(`Missing required field: ${field}`);
-    } else if (typeof json[field] === 'string' && json[field].trim() === '') {
-      errors.push(`Required field is empty: ${field}`);
-    } else if (Array.isArray(json[field]) && json[field].length === 0) {
-      errors.push(`Required field is empty: ${field}`);
-    }
+/**
+ * Parse an extracted script tag.
+ * Malformed JSON is reported as a validation error.
+ *
+ * @param {{ raw: string, body: string, start: number, end: number }} extracted
+ * @returns {Object} parseZG() result
+ */
+function parseExtractedScript(extracted) {
+  const base = { raw: extracted.raw, start: extracted.start, end: extracted.end };
+
+  let fields;
+  try {
+    fields = JSON.parse(extracted.body);
+  } catch (e) {
+    return {
+      version: CURRENT_VERSION,
+      fields: {},
+      ...base,
+      validation: invalidScript(`Script tag does not contain valid JSON: ${e.message}`)
+    };
   }
 
-  if (Array.isArray(json.metaindex)) {
-    if (json.metaindex.length < 4) {
-      errors.push(`metaindex should have at least 4 items (found ${json.metaindex.length})`);
-    } else if (json.metaindex.length > 8) {
-      errors.push(`metaindex should have at most 8 items (found ${json.metaindex.length})`);
-    }
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return {
+      version: CURRENT_VERSION,
+      fields: {},
+      ...base,
+      validation: invalidScript('Script tag JSON must be an object')
+    };
   }
 
-  return { valid: errors.length === 0, errors };
+  return {
+    version: fields.version || CURRENT_VERSION,
+    fields,
+    ...base,
+    validation: validateStamp(fields)
+  };
 }
 
 /**
  * Extract and parse a Zero Gravity stamp from text in one step.
+ * Returns the first text data block, or the first script tag if there is none.
  *
  * @param {string} text - Full document text
- * @returns {{ version: string, fields: Object, raw: string, validation: { valid: boolean, errors: string[] } } | null}
+ * @returns {{ version: string, fields: Object, raw: string, start: number, end: number, validation: { valid: boolean, errors: string[], warnings: string[] } } | null}
  */
 function parseZG(text) {
   const extracted = extractBlock(text);
+  if (!extracted) return parseZGScript(text);
+  return parseExtractedBlock(extracted);
+}
+
+/**
+ * Extract and parse a stamp from an HTML `<script type="application/zero-gravity">` tag.
+ * Returns the same shape as parseZG(); malformed JSON is reported as a validation error.
+ *
+ * @param {string} text - Full HTML document
+ * @returns {{ version: string, fields: Object, raw: string, start: number, end: number, validation: { valid: boolean, errors: string[], warnings: string[] } } | null}
+ */
+function parseZGScript(text) {
+  const extracted = extractScript(text);
   if (!extracted) return null;
+  return parseExtractedScript(extracted);
+}
 
-  const fields = parseBlock(extracted.body);
-  const validation = validateStamp(fields);
+/**
+ * Extract and parse every stamp in a document — text blocks and script
+ * tags — in document order. `start`/`end` are character offsets of each
+ * stamp's raw text.
+ *
+ * @param {string} text - Full document text
+ * @returns {Array<{ version: string, fields: Object, raw: string, start: number, end: number, validation: { valid: boolean, errors: string[], warnings: string[] } }>}
+ */
+function parseAllZG(text) {
+  const blocks = extractBlocks(text).map(parseExtractedBlock);
+  const scripts = extractScripts(text)
+    .filter(script => !blocks.some(b => script.start < b.end && b.start < script.end))
+    .map(parseExtractedScript);
+  return [...blocks, ...scripts].sort((a, b) => a.start - b.start);
+}
 
+/**
+ * Derive stamp fields from a full JSON object.
+ * The stamp carries only the stamp subset; everything else stays in the .zg.json.
+ * The stamp's intent is one sentence, so it comes from `relevance` — the full
+ * JSON's intent is an enum word (.zg.json files older than the enum keep theirs).
+ *
+ * @param {Object} json - Full JSON (or generator fields)
+ * @param {Object} [extra]
+ * @param {string} [extra.model] - Model that produced the fields
+ * @param {string} [extra.manifest] - Manifest URL
+ * @returns {Object} Stamp fields
+ */
+function stampFieldsFromJSON(json, { model, manifest } = {}) {
   return {
-    version: fields.version || '0.1',
-    fields,
-    raw: extracted.raw,
-    validation
+    author: json.author,
+    title: json.title,
+    intent: INTENT_VALUES.includes(json.intent) ? json.relevance : json.intent,
+    metaindex: json.metaindex || [],
+    model: model || undefined,
+    manifest: manifest || undefined,
+    content_hash: json.content_hash,
+    key_id: json.key_id,
+    signature: json.signature
   };
 }
 
@@ -180,38 +432,44 @@ function parseZG(text) {
  * Format fields into a Zero Gravity stamp string (data block only).
  *
  * @param {Object} fields - Stamp fields
- * @param {string} [version='0.1']
+ * @param {string} [version=CURRENT_VERSION]
  * @returns {string}
  */
-function formatStamp(fields, version = '0.1') {
+function formatStamp(fields, version = CURRENT_VERSION) {
   const lines = [
     '---BEGIN ZERO GRAVITY---',
     'encoding: "zero-gravity"',
-    `version: "${version}"`
+    `version: "${escapeValue(version)}"`
   ];
 
   // Optional: author (before title per field order)
   if (fields.author) {
-    lines.push(`author: "${fields.author}"`);
+    lines.push(`author: "${escapeValue(fields.author)}"`);
   }
   if (fields.title) {
-    lines.push(`title: "${fields.title}"`);
+    lines.push(`title: "${escapeValue(fields.title)}"`);
   }
   if (fields.intent) {
-    lines.push(`intent: "${fields.intent}"`);
+    lines.push(`intent: "${escapeValue(fields.intent)}"`);
   }
   if (Array.isArray(fields.metaindex) && fields.metaindex.length > 0) {
     lines.push('metaindex:');
     for (const item of fields.metaindex) {
-      lines.push(`  - "${item}"`);
+      lines.push(`  - "${escapeValue(item)}"`);
     }
   }
   // Optional: model, manifest (after metaindex per field order)
   if (fields.model) {
-    lines.push(`model: "${fields.model}"`);
+    lines.push(`model: "${escapeValue(fields.model)}"`);
   }
   if (fields.manifest) {
-    lines.push(`manifest: "${fields.manifest}"`);
+    lines.push(`manifest: "${escapeValue(fields.manifest)}"`);
+  }
+  // Optional: signature block (after manifest)
+  for (const key of ['content_hash', 'key_id', 'signature']) {
+    if (fields[key]) {
+      lines.push(`${key}: "${escapeValue(fields[key])}"`);
+    }
   }
 
   lines.push('---END ZERO GRAVITY---');
@@ -223,10 +481,10 @@ function formatStamp(fields, version = '0.1') {
  *
  * @param {Object} fields - Stamp fields
  * @param {string} [infoUrl] - URL for the "learn more" link
- * @param {string} [version='0.1']
+ * @param {string} [version=CURRENT_VERSION]
  * @returns {string}
  */
-function formatStampWithHeader(fields, infoUrl = 'https://github.com/clearhythm/zero-gravity', version = '0.1') {
+function formatStampWithHeader(fields, infoUrl = 'https://github.com/clearhythm/zero-gravity', version = CURRENT_VERSION) {
   const header = '## 🪐 Zero Gravity Stamp';
   const tagline = `Semantic encoding for agents | [learn more](${infoUrl}) »`;
 
@@ -235,16 +493,55 @@ function formatStampWithHeader(fields, infoUrl = 'https://github.com/clearhythm/
   return `${header}\n${tagline}\n\n\`\`\`\n${dataBlock}\n\`\`\``;
 }
 
+/**
+ * Format fields as an HTML `<script type="application/zero-gravity">` tag.
+ * `<` is escaped inside the JSON so field values cannot close the tag early.
+ *
+ * @param {Object} fields - Stamp fields
+ * @param {string} [version=CURRENT_VERSION]
+ * @returns {string}
+ */
+function formatStampScript(fields, version = CURRENT_VERSION) {
+  const data = { encoding: 'zero-gravity', version };
+  for (const key of STAMP_FIELD_ORDER) {
+    if (key === 'encoding' || key === 'version') continue;
+    const value = fields[key];
+    if (Array.isArray(value) ? value.length > 0 : value) {
+      data[key] = value;
+    }
+  }
+
+  const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+  return `<script type="${ZG_SCRIPT_TYPE}">\n${json}\n</script>`;
+}
+
 module.exports = {
   extractBlock,
+  extractBlocks,
+  extractScript,
+  extractScripts,
   parseBlock,
+  parseBlockDetailed,
+  parseValue,
+  escapeValue,
   stripQuotes,
   parseZG,
+  parseZGScript,
+  parseAllZG,
   validateStamp,
   validateFullJSON,
   formatStamp,
   formatStampWithHeader,
+  formatStampScript,
+  stampFieldsFromJSON,
   ZG_BLOCK_REGEX,
+  ZG_SCRIPT_REGEX,
+  ZG_SCRIPT_TYPE,
+  STAMP_FIELD_ORDER,
   STAMP_REQUIRED_FIELDS,
-  JSON_REQUIRED_FIELDS
+  JSON_REQUIRED_FIELDS,
+  JSON_LIST_FIELDS,
+  INTENT_VALUES,
+  STANCE_VALUES,
+  ID_REGEX
 };
@@ -0,0 +1,152 @@
+/**
+ * Zero Gravity — Providers
+ *
+ * Builds generation backends and embedding providers from names and
+ * environment configuration. Misconfiguration throws a ConfigError, so
+ * the CLI can print it and exit while long-running callers (the HTTP
+ * server) can report it per request.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const GENERATION_BACKENDS = ['anthropic', 'openai', 'mock'];
+const EMBEDDING_PROVIDERS = ['openai', 'local', 'hash'];
+
+/**
+ * Missing or invalid provider configuration.
+ */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Build a generation backend.
+ *
+ *   anthropic  Anthropic API (ANTHROPIC_API_KEY) — default
+ *   openai     OpenAI-compatible chat endpoint (OPENAI_API_KEY or ZEROGRAVITY_LLM_API_KEY,
+ *              optional ZEROGRAVITY_LLM_BASE_URL for local servers, model via ZEROGRAVITY_LLM_MODEL)
+ *   mock       Scripted offline backend (optional ZEROGRAVITY_MOCK_RESPONSES: JSON array file)
+ *
+ * @param {Object} [options]
+ * @param {string} [options.name] - Backend name; defaults to ZEROGRAVITY_BACKEND, then anthropic
+ * @param {string} [options.model] - Model override
+ * @returns {Object} Generation backend
+ * @throws {ConfigError}
+ */
+function createGenerationBackend({ name, model } = {}) {
+  const { anthropicBackend, openAIChatBackend, mockBackend } = require('./backends.cjs');
+  const { DEFAULT_MODEL } = require('./generator.cjs');
+  const backend = name || process.env.ZEROGRAVITY_BACKEND || 'anthropic';
+
+  switch (backend) {
+    case 'anthropic': {
+      const apiKey = process.env.ZEROGRAVITY_API_KEY || process.env.ANTHROPIC_API_KEY;
+      if (!apiKey) {
+        throw new ConfigError('No Anthropic API key found. Set ZEROGRAVITY_API_KEY or ANTHROPIC_API_KEY in .env');
+      }
+      const Anthropic = require('@anthropic-ai/sdk');
+      // Retries are handled by the backend layer
+      const client = new Anthropic({ apiKey, maxRetries: 0 });
+      return anthropicBackend(client, { model: model || DEFAULT_MODEL });
+    }
+    case 'openai': {
+      const baseURL = process.env.ZEROGRAVITY_LLM_BASE_URL;
+      const apiKey = process.env.ZEROGRAVITY_LLM_API_KEY || process.env.OPENAI_API_KEY || (baseURL ? 'local' : null);
+      const chatModel = model || process.env.ZEROGRAVITY_LLM_MODEL;
+      if (!apiKey) {
+        throw new ConfigError('No OpenAI API key found. Set OPENAI_API_KEY (or ZEROGRAVITY_LLM_BASE_URL for a local server) in .env');
+      }
+      if (!chatModel) {
+        throw new ConfigError('The openai backend needs a model: pass --model or set ZEROGRAVITY_LLM_MODEL');
+      }
+      const OpenAI = require('openai');
+      const client = new OpenAI({ apiKey, baseURL: baseURL || undefined, maxRetries: 0 });
+      return openAIChatBackend(client, { model: chatModel, name: baseURL ? 'local' : 'openai' });
+    }
+    case 'mock': {
+      const scriptPath = process.env.ZEROGRAVITY_MOCK_RESPONSES;
+      const responses = scriptPath ? JSON.parse(fs.readFileSync(path.resolve(scriptPath), 'utf-8')) : [];
+      return mockBackend({ responses, model: model || undefined });
+    }
+    default:
+      throw new ConfigError(`Error: --backend must be one of ${GENERATION_BACKENDS.join(', ')} (got "${backend}")`);
+  }
+}
+
+/**
+ * Build an embedding provider by name.
+ *
+ *   openai  OpenAI API (OPENAI_API_KEY)
+ *   local   OpenAI-compatible endpoint (ZEROGRAVITY_EMBED_BASE_URL, ZEROGRAVITY_EMBED_MODEL,
+ *           optional ZEROGRAVITY_EMBED_DIMENSIONS and ZEROGRAVITY_EMBED_API_KEY)
+ *   hash    Deterministic offline hashing embedder — no network, for tests
+ *
+ * @param {string} [name='openai']
+ * @returns {Object} Embedding provider
+ * @throws {ConfigError}
+ */
+function createEmbeddingProvider(name = 'openai') {
+  const { openAIProvider, hashProvider } = require('./embedder.cjs');
+
+  switch (name) {
+    case 'openai': {
+      const apiKey = process.env.OPENAI_API_KEY;
+      if (!apiKey) {
+        throw new ConfigError('No OpenAI API key found. Set OPENAI_API_KEY in .env');
+      }
+      const OpenAI = require('openai');
+      return openAIProvider(new OpenAI({ apiKey }));
+    }
+    case 'local': {
+      const baseURL = process.env.ZEROGRAVITY_EMBED_BASE_URL;
+      const model = process.env.ZEROGRAVITY_EMBED_MODEL;
+      if (!baseURL || !model) {
+        throw new ConfigError('Local embeddings need ZEROGRAVITY_EMBED_BASE_URL and ZEROGRAVITY_EMBED_MODEL in .env');
+      }
+      const OpenAI = require('openai');
+      const client = new OpenAI({ apiKey: process.env.ZEROGRAVITY_EMBED_API_KEY || 'local', baseURL });
+      const dimensions = parseInt(process.env.ZEROGRAVITY_EMBED_DIMENSIONS, 10) || null;
+      return openAIProvider(client, { name: 'local', model, dimensions });
+    }
+    case 'hash':
+      return hashProvider();
+    default:
+      throw new ConfigError(`Error: --provider must be one of ${EMBEDDING_PROVIDERS.join(', ')} (got "${name}")`);
+  }
+}
+
+/**
+ * Which backends and providers have the configuration they need.
+ * Reads environment variables only; never contacts a provider.
+ *
+ * @returns {{ default_backend: string, generation: Object<string, boolean>, embedding: Object<string, boolean> }}
+ */
+function providerStatus() {
+  const env = process.env;
+  return {
+    default_backend: env.ZEROGRAVITY_BACKEND || 'anthropic',
+    generation: {
+      anthropic: !!(env.ZEROGRAVITY_API_KEY || env.ANTHROPIC_API_KEY),
+      openai: !!(env.ZEROGRAVITY_LLM_API_KEY || env.OPENAI_API_KEY || env.ZEROGRAVITY_LLM_BASE_URL),
+      mock: true
+    },
+    embedding: {
+      openai: !!env.OPENAI_API_KEY,
+      local: !!(env.ZEROGRAVITY_EMBED_BASE_URL && env.ZEROGRAVITY_EMBED_MODEL),
+      hash: true
+    }
+  };
+}
+
+module.exports = {
+  createGenerationBackend,
+  createEmbeddingProvider,
+  providerStatus,
+  ConfigError,
+  GENERATION_BACKENDS,
+  EMBEDDING_PROVIDERS
+};
@@ -0,0 +1,176 @@
+/**
+ * Zero Gravity — Scan
+ *
+ * Consumer side of the format: finds the stamps a page already publishes
+ * so agents (and `generate --url`) can use them without calling a model.
+ * Looks for the text data block, the HTML script tag, a
+ * `<link rel="alternate" type="application/zero-gravity+json">` sidecar,
+ * and follows `manifest` URLs. Everything found is validated.
+ * No API calls.
+ */
+
+const domino = require('@mixmark-io/domino');
+const { fetchPage } = require('./fetcher.cjs');
+const { parseAllZG, validateFullJSON } = require('./parser.cjs');
+
+const SIDECAR_TYPE = 'application/zero-gravity+json';
+
+/**
+ * A stamp or full JSON found while scanning.
+ *
+ * @typedef {Object} ScanFinding
+ * @property {'block'|'script'|'sidecar'|'manifest'} source - Where it was found
+ * @property {'stamp'|'json'|'manifest'} kind - Inline stamp, full .zg.json, or embedding manifest
+ * @property {string} url - URL of the document it came from
+ * @property {string} version
+ * @property {Object} fields
+ * @property {{ valid: boolean, errors: string[], warnings: string[] }} validation
+ */
+
+/**
+ * Stamps embedded in a fetched page body.
+ * In HTML, script tags are read from the markup and data blocks from the
+ * rendered text, so a block shown in a `<pre>` with entity-encoded quotes
+ * parses the same as it would in markdown.
+ *
+ * @param {{ url: string, contentType: string, body: string }} page
+ * @returns {ScanFinding[]}
+ */
+function inlineFindings(page) {
+  let stamps = parseAllZG(page.body);
+
+  if (/html/.test(page.contentType)) {
+    const doc = domino.createDocument(page.body);
+    const rendered = (doc.body || doc.documentElement).textContent;
+    stamps = [
+      ...stamps.filter(s => s.raw.startsWith('<')),
+      ...parseAllZG(rendered).filter(s => !s.raw.startsWith('<'))
+    ];
+  }
+
+  return stamps.map(stamp => ({
+    source: stamp.raw.startsWith('<') ? 'script' : 'block',
+    kind: 'stamp',
+    url: page.url,
+    version: stamp.version,
+    fields: stamp.fields,
+    validation: stamp.validation
+  }));
+}
+
+/**
+ * Sidecar URLs declared with `<link rel="alternate" type="application/zero-gravity+json">`.
+ *
+ * @param {{ url: string, contentType: string, body: string }} page
+ * @returns {string[]} Absolute URLs
+ */
+function sidecarLinks(page) {
+  if (!/html/.test(page.contentType)) return [];
+  const doc = domino.createDocument(page.body);
+  const links = [];
+  for (const link of Array.from(doc.querySelectorAll('link[rel~="alternate"]'))) {
+    const type = (link.getAttribute('type') || '').toLowerCase();
+    const href = link.getAttribute('href');
+    if (type !== SIDECAR_TYPE || !href) continue;
+    try {
+      links.push(new URL(href, page.url).href);
+    } catch (e) {
+      // Ignore unparseable hrefs
+    }
+  }
+  return [...new Set(links)];
+}
+
+/**
+ * Fetch and classify a JSON document linked from a page.
+ *
+ * @param {string} url
+ * @param {'sidecar'|'manifest'} source
+ * @returns {Promise<ScanFinding>}
+ */
+async function fetchLinkedJSON(url, source) {
+  const base = { source, url };
+  let page;
+  try {
+    page = await fetchPage(url);
+  } catch (e) {
+    return { ...base, kind: 'json', version: null, fields: {}, validation: { valid: false, errors: [e.message], warnings: [] } };
+  }
+
+  let json;
+  try {
+    json = JSON.parse(page.body);
+  } catch (e) {
+    return {
+      ...base,
+      kind: 'json',
+      version: null,
+      fields: {},
+      validation: { valid: false, errors: [`Not valid JSON (${page.contentType || 'no content type'}): ${e.message}`], warnings: [] }
+    };
+  }
+
+  if (json && json.encoding === 'zero-gravity-manifest') {
+    const errors = Array.isArray(json.embeddings) && json.embeddings.length > 0
+      ? []
+      : ['Manifest has no embeddings'];
+    return { ...base, kind: 'manifest', version: json.version || null, fields: json, validation: { valid: errors.length === 0, errors, warnings: [] } };
+  }
+
+  return { ...base, kind: 'json', version: (json && json.version) || null, fields: json || {}, validation: validateFullJSON(json || {}) };
+}
+
+/**
+ * Scan an already-fetched page for stamps.
+ *
+ * @param {{ url: string, contentType: string, body: string }} page - fetchPage() result
+ * @param {Object} [options]
+ * @param {boolean} [options.followManifest=true] - Fetch `manifest` URLs found in stamps
+ * @returns {Promise<{ url: string, findings: ScanFinding[] }>}
+ */
+async function scanPage(page, { followManifest = true } = {}) {
+  const findings = inlineFindings(page);
+
+  for (const url of sidecarLinks(page)) {
+    findings.push(await fetchLinkedJSON(url, 'sidecar'));
+  }
+
+  if (followManifest) {
+    const seen = new Set(findings.filter(f => f.source === 'sidecar').map(f => f.url));
+    const manifests = findings
+      .map(f => f.fields && f.fields.manifest)
+      .filter(m => typeof m === 'string' && /^https?:\/\//.test(m));
+    for (const url of manifests) {
+      if (seen.has(url)) continue;
+      seen.add(url);
+      findings.push(await fetchLinkedJSON(url, 'manifest'));
+    }
+  }
+
+  return { url: page.url, findings };
+}
+
+/**
+ * Fetch a URL and scan it for stamps.
+ *
+ * @param {string} url
+ * @param {Object} [options] - scanPage() options
+ * @returns {Promise<{ url: string, findings: ScanFinding[] }>}
+ */
+async function scanUrl(url, options) {
+  return scanPage(await fetchPage(url), options);
+}
+
+/**
+ * Pick the finding to reuse instead of generating: a valid full JSON
+ * (sidecar or manifest) first, then a valid inline stamp.
+ *
+ * @param {ScanFinding[]} findings
+ * @returns {ScanFinding|null}
+ */
+function bestFinding(findings) {
+  const valid = findings.filter(f => f.validation.valid);
+  return valid.find(f => f.kind === 'json') || valid.find(f => f.kind === 'stamp') || null;
+}
+
+module.exports = { scanUrl, scanPage, bestFinding, SIDECAR_TYPE };
@@ -0,0 +1,173 @@
+/**
+ * Zero Gravity — Schemas
+ *
+ * The published JSON Schemas for the stamp and the full JSON
+ * (spec/schemas/), loaded at runtime, and a validator for the subset of
+ * JSON Schema they use. The v0.1 validators in versions.cjs and the MCP
+ * tool schemas run on these documents, so editing a published schema
+ * changes what validates.
+ * No external dependencies. No API calls.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CURRENT_VERSION, VERSION_REGEX, ID_REGEX } = require('./versions.cjs');
+
+const SCHEMA_DIR = path.join(__dirname, '../spec/schemas');
+
+// Non-blank string
+const NOT_BLANK = '\\S';
+
+// How a failed pattern is reported, for the patterns the schemas use
+const PATTERN_HINTS = {
+  [NOT_BLANK]: 'should not be empty',
+  [ID_REGEX.source]: 'should be a lowercase hyphenated slug',
+  [VERSION_REGEX.source]: `should be a version string like "${CURRENT_VERSION}"`
+};
+
+// Envelope fields the full JSON schema requires and generator output lacks
+const ENVELOPE_FIELDS = ['encoding', 'version'];
+
+/**
+ * Load a published schema document from spec/schemas/.
+ *
+ * @param {string} file - File name, e.g. "zero-gravity-0.1.schema.json"
+ * @returns {Object}
+ */
+function loadSchema(file) {
+  const resolved = path.join(SCHEMA_DIR, file);
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Cannot load JSON Schema ${resolved}: ${e.message}`);
+  }
+}
+
+// Stamp: the compact block that lives in articles
+const STAMP_SCHEMA = loadSchema(`zero-gravity-${CURRENT_VERSION}.stamp.schema.json`);
+
+// Full JSON: the publisher's working document. The envelope is required
+// here, as in the spec; generator output gets it from buildFullJSON().
+const FULL_JSON_SCHEMA = loadSchema(`zero-gravity-${CURRENT_VERSION}.schema.json`);
+
+// Full JSON fields as the generator returns them, before the envelope is added
+const GENERATED_FIELDS_SCHEMA = {
+  ...FULL_JSON_SCHEMA,
+  required: FULL_JSON_SCHEMA.required.filter(field => !ENVELOPE_FIELDS.includes(field))
+};
+
+// Published schema documents, by file name
+const SCHEMA_FILES = {
+  [STAMP_SCHEMA.$id.split('/').pop()]: STAMP_SCHEMA,
+  [FULL_JSON_SCHEMA.$id.split('/').pop()]: FULL_JSON_SCHEMA
+};
+
+/**
+ * Short rendering of a value for error messages.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text === undefined ? String(value) : text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Whether a value has a JSON Schema type.
+ *
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a schema. Supports the keywords the published
+ * schemas use: type, const, enum, pattern, minimum, minItems, maxItems,
+ * items, properties and required. A required property that is null
+ * counts as missing.
+ *
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [at=''] - Path of the value, e.g. "claims[2]" or "embedding.vector"
+ * @returns {Array<{ path: string, message: string }>} Empty when valid
+ */
+function validateSchema(value, schema, at = '') {
+  const issues = [];
+  const name = at || 'value';
+  const add = message => issues.push({ path: at, message });
+
+  if (schema.const !== undefined && value !== schema.const) {
+    add(`${name} should be ${describe(schema.const)} (found ${describe(value)})`);
+    return issues;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    add(`${name} should be one of ${schema.enum.join(', ')} (found ${describe(value)})`);
+    return issues;
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) {
+      add(`${name} should be ${types.map(t => (/^[aeiou]/.test(t) ? `an ${t}` : `a ${t}`)).join(' or ')}`);
+      return issues;
+    }
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+    const hint = PATTERN_HINTS[schema.pattern] || `should match ${schema.pattern}`;
+    add(`${name} ${hint}${value.trim() ? ` (found ${describe(value)})` : ''}`);
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    add(`${name} should be at least ${schema.minimum} (found ${value})`);
+  }
+
+  if (Array.isArray(value)) {
+    const items = n => `${n} item${n === 1 ? '' : 's'}`;
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      add(`${name} should have at least ${items(schema.minItems)} (found ${value.length})`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      add(`${name} should have at most ${items(schema.maxItems)} (found ${value.length})`);
+    }
+    if (schema.items) {
+      value.forEach((item, idx) => issues.push(...validateSchema(item, schema.items, `${at}[${idx}]`)));
+    }
+  }
+
+  if (hasType(value, 'object')) {
+    const child = key => (at ? `${at}.${key}` : key);
+    const required = schema.required || [];
+    for (const key of required) {
+      if (value[key] === undefined || value[key] === null) {
+        issues.push({ path: child(key), message: `Missing required field: ${child(key)}` });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      // Missing, or already reported as missing
+      if (value[key] === undefined || (value[key] === null && required.includes(key))) continue;
+      issues.push(...validateSchema(value[key], propertySchema, child(key)));
+    }
+  }
+
+  return issues;
+}
+
+module.exports = {
+  validateSchema,
+  STAMP_SCHEMA,
+  FULL_JSON_SCHEMA,
+  GENERATED_FIELDS_SCHEMA,
+  SCHEMA_FILES,
+  SCHEMA_DIR
+};
@@ -0,0 +1,109 @@
+/**
+ * Zero Gravity — Search
+ *
+ * Ranks a loaded corpus against a query embedding by cosine similarity.
+ * Only compares vectors produced by the same embedding model and
+ * dimensions — vectors from different spaces are not comparable.
+ * No external dependencies. No API calls.
+ */
+
+const DEFAULT_TOP_K = 5;
+
+/**
+ * Cosine similarity between two equal-length vectors.
+ *
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} Similarity in [-1, 1], or 0 if either vector is zero
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Split text into lowercase word tokens for lexical matching.
+ *
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function tokenize(text) {
+  return new Set(
+    String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(t => t.length > 2)
+  );
+}
+
+/**
+ * Pick the metaindex entries that share at least one word with the query.
+ *
+ * @param {string[]} metaindex
+ * @param {string} query
+ * @returns {string[]}
+ */
+function matchMetaindex(metaindex, query) {
+  if (!Array.isArray(metaindex)) return [];
+  const queryTokens = tokenize(query);
+  return metaindex.filter(entry => {
+    for (const token of tokenize(entry)) {
+      if (queryTokens.has(token)) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Rank corpus entries against a query embedding.
+ *
+ * @param {Array<{ file: string, json: Object }>} corpus - From loadCorpus()
+ * @param {Object} options
+ * @param {string} options.query - Original query text (for metaindex matching)
+ * @param {{ model: string, dimensions: number, vector: number[] }} options.embedding - Query embedding from embed()
+ * @param {number} [options.topK] - Maximum number of results
+ * @returns {{ results: Object[], searched: number, skipped: Array<{ file: string, reason: string }> }}
+ */
+function searchCorpus(corpus, { query, embedding, topK = DEFAULT_TOP_K }) {
+  const scored = [];
+  const skipped = [];
+
+  for (const { file, json } of corpus) {
+    const vec = json.embedding;
+    if (!vec || !Array.isArray(vec.vector)) {
+      skipped.push({ file, reason: 'no embedding' });
+      continue;
+    }
+    if (vec.model !== embedding.model || vec.dimensions !== embedding.dimensions ||
+        vec.vector.length !== embedding.vector.length) {
+      skipped.push({
+        file,
+        reason: `embedding ${vec.model}/${vec.dimensions} does not match query ${embedding.model}/${embedding.dimensions}`
+      });
+      continue;
+    }
+
+    scored.push({
+      file,
+      score: cosineSimilarity(embedding.vector, vec.vector),
+      title: json.title,
+      intent: json.intent,
+      metaindex: matchMetaindex(json.metaindex, query)
+    });
+  }
+
+  scored.sort((a, b) => b.score - a.score);
+
+  return {
+    results: scored.slice(0, topK),
+    searched: scored.length,
+    skipped
+  };
+}
+
+module.exports = { searchCorpus, cosineSimilarity, matchMetaindex, DEFAULT_TOP_K };
@@ -0,0 +1,80 @@
+/**
+ * Zero Gravity — Sections
+ *
+ * Splits a long markdown document into its H2 sections so each one can
+ * carry its own stamp. A "Zero Gravity Stamp" heading belongs to the
+ * section it sits in and never starts a new one.
+ * No external dependencies. No API calls.
+ */
+
+const { slugify } = require('./generator.cjs');
+
+const H2_REGEX = /^##[ \t]+(.+?)[ \t#]*$/;
+const FENCE_REGEX = /^[ \t]*(```|~~~)/;
+const STAMP_HEADING_REGEX = /Zero Gravity Stamp/;
+
+/**
+ * Split markdown into H2 sections.
+ * Text before the first H2 is not a section. Headings inside code
+ * fences are ignored. Section slugs are unique within the document.
+ *
+ * @param {string} markdown
+ * @returns {Array<{ heading: string, slug: string, start: number, end: number, text: string }>}
+ */
+function splitSections(markdown) {
+  const starts = [];
+  let inFence = false;
+  let offset = 0;
+
+  for (const line of markdown.split('\n')) {
+    if (FENCE_REGEX.test(line)) {
+      inFence = !inFence;
+    } else if (!inFence) {
+      const match = line.replace(/\r$/, '').match(H2_REGEX);
+      if (match && !STAMP_HEADING_REGEX.test(match[1])) {
+        starts.push({ heading: match[1].trim(), start: offset });
+      }
+    }
+    offset += line.length + 1;
+  }
+
+  const seen = new Map();
+  return starts.map((section, idx) => {
+    const end = idx + 1 < starts.length ? starts[idx + 1].start : markdown.length;
+    const base = slugify(section.heading) || `section-${idx + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+
+    return {
+      heading: section.heading,
+      slug: count > 1 ? `${base}-${count}` : base,
+      start: section.start,
+      end,
+      text: markdown.slice(section.start, end)
+    };
+  });
+}
+
+/**
+ * The H2 section containing an offset, e.g. where a stamp sits.
+ *
+ * @param {string} markdown
+ * @param {number} offset
+ * @returns {{ heading: string, slug: string, start: number, end: number, text: string }|null} null before the first H2
+ */
+function sectionAt(markdown, offset) {
+  return splitSections(markdown).find(section => section.start <= offset && offset < section.end) || null;
+}
+
+/**
+ * File slug for a section's outputs: `{document}--{section}`.
+ *
+ * @param {string} docSlug
+ * @param {string} sectionSlug
+ * @returns {string}
+ */
+function sectionFileSlug(docSlug, sectionSlug) {
+  return `${docSlug}--${sectionSlug}`;
+}
+
+module.exports = { splitSections, sectionAt, sectionFileSlug };
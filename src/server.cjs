@@ -0,0 +1,359 @@
+/**
+ * Zero Gravity — HTTP Server
+ *
+ * Local JSON API over the library, for agents running as separate
+ * services: parse and validate stamps, generate fields, embed, search
+ * the corpus, and look up .zg.json files by id or slug.
+ *
+ * Every error is returned as `{ "error": { "code", "message", "details"? } }`
+ * with a matching HTTP status; nothing here exits the process.
+ */
+
+const http = require('http');
+const { parseZG, parseAllZG, validateFullJSON, formatStampWithHeader, stampFieldsFromJSON } = require('./parser.cjs');
+const { generate } = require('./generator.cjs');
+const { embed, embedQuery, buildFullJSON, hashText } = require('./embedder.cjs');
+const { loadCorpus, corpusSlug, findInCorpus } = require('./corpus.cjs');
+const { searchCorpus, DEFAULT_TOP_K } = require('./search.cjs');
+const { CURRENT_VERSION } = require('./versions.cjs');
+const { meterBackend, meterEmbedder, BudgetExceededError } = require('./usage.cjs');
+const {
+  createGenerationBackend, createEmbeddingProvider, providerStatus, ConfigError,
+  GENERATION_BACKENDS, EMBEDDING_PROVIDERS
+} = require('./providers.cjs');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * An error with an HTTP status and a machine-readable code.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} code - Stable error code, e.g. "invalid_request"
+   * @param {string} message
+   * @param {*} [details]
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Write a JSON response.
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function sendJSON(res, status, body) {
+  const payload = JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+/**
+ * Read and parse a JSON request body, enforcing a size limit.
+ * An empty body parses as `{}`.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {number} maxBytes
+ * @returns {Promise<Object>}
+ */
+function readJSONBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const declared = Number(req.headers['content-length']);
+    if (declared > maxBytes) {
+      req.resume();
+      return reject(new HttpError(413, 'payload_too_large', `Request body exceeds ${maxBytes} bytes`));
+    }
+
+    const chunks = [];
+    let size = 0;
+    let rejected = false;
+    req.on('data', chunk => {
+      if (rejected) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        rejected = true;
+        return reject(new HttpError(413, 'payload_too_large', `Request body exceeds ${maxBytes} bytes`));
+      }
+      chunks.push(chunk);
+    });
+    req.on('error', reject);
+    req.on('end', () => {
+      if (rejected) return;
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) return resolve({});
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (e) {
+        return reject(new HttpError(400, 'invalid_json', `Request body is not valid JSON: ${e.message}`));
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return reject(new HttpError(400, 'invalid_json', 'Request body must be a JSON object'));
+      }
+      resolve(body);
+    });
+  });
+}
+
+/**
+ * Read a required string field from a request body.
+ *
+ * @param {Object} body
+ * @param {string} key
+ * @returns {string}
+ */
+function requireString(body, key) {
+  if (typeof body[key] !== 'string' || !body[key].trim()) {
+    throw new HttpError(400, 'invalid_request', `"${key}" is required and must be a non-empty string`);
+  }
+  return body[key];
+}
+
+/**
+ * Read a required object field from a request body.
+ *
+ * @param {Object} body
+ * @param {string} key
+ * @returns {Object}
+ */
+function requireObject(body, key) {
+  const value = body[key];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new HttpError(400, 'invalid_request', `"${key}" is required and must be a JSON object`);
+  }
+  return value;
+}
+
+/**
+ * Check an optional name against allowed values.
+ *
+ * @param {string|undefined} value
+ * @param {string[]} allowed
+ * @param {string} key - Field name for the error message
+ * @returns {string|undefined}
+ */
+function optionalChoice(value, allowed, key) {
+  if (value === undefined || value === null) return undefined;
+  if (!allowed.includes(value)) {
+    throw new HttpError(400, 'invalid_request', `"${key}" must be one of ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Build the request handler.
+ *
+ * @param {Object} options - See createServer()
+ * @returns {function(http.IncomingMessage, http.ServerResponse): Promise<void>}
+ */
+function createHandler({ corpusDir, backend: defaultBackend, model: defaultModel, provider: defaultProvider, maxBodyBytes, meter }) {
+  // Every model call goes through the meter, when there is one
+  const backendFor = (options, source) => {
+    const backend = createGenerationBackend(options);
+    return meter ? meterBackend(backend, meter, { source }) : backend;
+  };
+  const embedderFor = (name, source) => {
+    const provider = createEmbeddingProvider(name);
+    return meter ? meterEmbedder(provider, meter, { source }) : provider;
+  };
+
+  const routes = {
+    'GET /health': async () => ({
+      status: 'ok',
+      version: CURRENT_VERSION,
+      providers: providerStatus(),
+      corpus_dir: corpusDir
+    }),
+
+    'POST /parse': async (body) => {
+      const text = requireString(body, 'text');
+      if (body.all) return { stamps: parseAllZG(text) };
+      const stamp = parseZG(text);
+      if (!stamp) throw new HttpError(404, 'no_stamp', 'No Zero Gravity stamp found in text');
+      return { stamp };
+    },
+
+    'POST /validate': async (body) => ({
+      validation: validateFullJSON(requireObject(body, 'json'))
+    }),
+
+    'POST /generate': async (body) => {
+      const text = requireString(body, 'text');
+      const backend = backendFor({
+        name: optionalChoice(body.backend, GENERATION_BACKENDS, 'backend') || defaultBackend,
+        model: body.model || defaultModel
+      }, body.slug || null);
+
+      const result = await generate(backend, { text, slug: body.slug, source: body.source || null });
+      if (!result.fields) {
+        throw new HttpError(502, 'generation_failed', 'Failed to generate valid fields', { raw: result.raw });
+      }
+
+      let embedding = null;
+      if (body.embed) {
+        const provider = optionalChoice(body.provider, EMBEDDING_PROVIDERS, 'provider') || defaultProvider;
+        embedding = await embed(embedderFor(provider, body.slug || null), { fields: result.fields });
+      }
+
+      const json = buildFullJSON({
+        fields: result.fields,
+        embedding,
+        sourceHash: hashText(text),
+        model: result.model,
+        generation: result.generation
+      });
+      return {
+        json,
+        stamp: formatStampWithHeader(stampFieldsFromJSON(result.fields, { model: result.model })),
+        validation: validateFullJSON(result.fields),
+        usage: result.usage
+      };
+    },
+
+    'POST /embed': async (body) => {
+      const fields = requireObject(body, 'fields');
+      const provider = optionalChoice(body.provider, EMBEDDING_PROVIDERS, 'provider') || defaultProvider;
+      return { embedding: await embed(embedderFor(provider, fields.id || null), { fields }) };
+    },
+
+    'POST /search': async (body) => {
+      const query = requireString(body, 'query');
+      const provider = optionalChoice(body.provider, EMBEDDING_PROVIDERS, 'provider') || defaultProvider;
+      const corpus = loadCorpus(corpusDir).filter(entry => entry.json.embedding);
+      const embedding = await embedQuery(embedderFor(provider, 'search'), { query });
+      const { results, searched } = searchCorpus(corpus, {
+        query,
+        embedding,
+        topK: Number(body.top) > 0 ? Number(body.top) : DEFAULT_TOP_K
+      });
+      return {
+        query,
+        model: embedding.model,
+        dimensions: embedding.dimensions,
+        searched,
+        results: results.map(({ file, ...result }) => ({ ...result, slug: corpusSlug(file) }))
+      };
+    },
+
+    'GET /corpus': async () => ({
+      entries: loadCorpus(corpusDir).map(({ file, json }) => ({
+        id: json.id || null,
+        slug: corpusSlug(file),
+        title: json.title || null,
+        embedded: !!json.embedding
+      }))
+    })
+  };
+
+  /**
+   * GET /corpus/{id or slug}
+   */
+  async function corpusLookup(key) {
+    const entry = findInCorpus(loadCorpus(corpusDir), { id: key });
+    if (!entry) throw new HttpError(404, 'not_found', `No .zg.json with id or slug "${key}"`);
+    return entry.json;
+  }
+
+  return async function handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const route = `${req.method} ${pathname.replace(/\/+$/, '') || '/'}`;
+
+    if (route.startsWith('GET /corpus/')) {
+      let key;
+      try {
+        key = decodeURIComponent(pathname.slice('/corpus/'.length));
+      } catch {
+        throw new HttpError(400, 'invalid_request', `Malformed percent-encoding in ${pathname}`);
+      }
+      return sendJSON(res, 200, await corpusLookup(key));
+    }
+
+    const handler = routes[route];
+    if (!handler) {
+      const known = Object.keys(routes).some(r => r.endsWith(` ${pathname}`));
+      throw known
+        ? new HttpError(405, 'method_not_allowed', `${req.method} is not allowed on ${pathname}`)
+        : new HttpError(404, 'not_found', `No endpoint ${req.method} ${pathname}`);
+    }
+
+    const body = req.method === 'POST' ? await readJSONBody(req, maxBodyBytes) : {};
+    sendJSON(res, 200, await handler(body));
+  };
+}
+
+/**
+ * Map any thrown error to a status and error body.
+ *
+ * @param {Error} error
+ * @returns {{ status: number, body: Object }}
+ */
+function errorResponse(error) {
+  if (error instanceof HttpError) {
+    const body = { code: error.code, message: error.message };
+    if (error.details !== undefined) body.details = error.details;
+    return { status: error.status, body: { error: body } };
+  }
+  if (error instanceof BudgetExceededError) {
+    return { status: 402, body: { error: { code: 'budget_exceeded', message: error.message } } };
+  }
+  if (error instanceof ConfigError) {
+    return { status: 503, body: { error: { code: 'provider_not_configured', message: error.message } } };
+  }
+  // Provider SDK errors carry the upstream status
+  if (error.status) {
+    return { status: 502, body: { error: { code: 'upstream_error', message: error.message, details: { status: error.status } } } };
+  }
+  return { status: 500, body: { error: { code: 'internal_error', message: error.message } } };
+}
+
+/**
+ * Create the HTTP server (not yet listening).
+ *
+ * @param {Object} [options]
+ * @param {string} options.corpusDir - Directory of .zg.json files for /corpus and /search
+ * @param {string} [options.backend] - Default generation backend
+ * @param {string} [options.model] - Default generation model
+ * @param {string} [options.provider='openai'] - Default embedding provider
+ * @param {number} [options.maxBodyBytes] - Request body limit
+ * @param {Object|null} [options.meter] - Meter from usage.cjs that ledgers and budgets model calls
+ * @param {function(string): void} [options.log] - Request logger
+ * @returns {http.Server}
+ */
+function createServer({
+  corpusDir,
+  backend,
+  model,
+  provider = 'openai',
+  maxBodyBytes = DEFAULT_MAX_BODY_BYTES,
+  meter = null,
+  log = () => {}
+} = {}) {
+  const handle = createHandler({ corpusDir, backend, model, provider, maxBodyBytes, meter });
+
+  return http.createServer(async (req, res) => {
+    const started = Date.now();
+    try {
+      await handle(req, res);
+    } catch (error) {
+      const { status, body } = errorResponse(error);
+      if (status === 413) res.setHeader('Connection', 'close');
+      sendJSON(res, status, body);
+    }
+    log(`${req.method} ${req.url} ${res.statusCode} ${Date.now() - started}ms`);
+  });
+}
+
+module.exports = { createServer, HttpError, DEFAULT_PORT, DEFAULT_HOST, DEFAULT_MAX_BODY_BYTES };
@@ -0,0 +1,161 @@
+/**
+ * Zero Gravity — Signing
+ *
+ * Ed25519 signatures for stamps. The publisher hashes the article body
+ * and signs the canonical stamp fields together with that hash, so an
+ * agent holding the publisher's public key can tell an authentic stamp
+ * from a tampered one, and a current stamp from one whose article has
+ * since changed.
+ * No external dependencies. No API calls.
+ */
+
+const crypto = require('crypto');
+const { hashText } = require('./embedder.cjs');
+const { removeStamps } = require('./inject.cjs');
+const { STAMP_FIELD_ORDER, CURRENT_VERSION } = require('./versions.cjs');
+
+// Fields added to the stamp and .zg.json by signing
+const SIGNATURE_FIELDS = ['signature', 'key_id', 'content_hash'];
+
+// Possible verification outcomes
+const VERIFY_STATUSES = ['authentic', 'stale', 'forged', 'unsigned', 'unknown-key'];
+
+/**
+ * Hash the article body a stamp describes.
+ * Stamps are removed and whitespace is normalized (line endings, trailing
+ * spaces, blank-line runs) so injecting or re-injecting a stamp never
+ * changes the hash — only edits to the article do.
+ *
+ * @param {string} text - Article text, with or without stamps
+ * @returns {string} Hex-encoded SHA-256
+ */
+function hashArticle(text) {
+  const normalized = removeStamps(text)
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return hashText(normalized);
+}
+
+/**
+ * Canonical bytes that are signed: the stamp fields in spec order, with
+ * `key_id` and `content_hash` included and `signature` left out.
+ *
+ * @param {Object} fields - Stamp fields
+ * @returns {string}
+ */
+function canonicalPayload(fields) {
+  const payload = {
+    encoding: 'zero-gravity',
+    version: fields.version || CURRENT_VERSION
+  };
+  for (const key of STAMP_FIELD_ORDER) {
+    if (key === 'encoding' || key === 'version' || key === 'signature') continue;
+    const value = fields[key];
+    if (Array.isArray(value) ? value.length > 0 : value) {
+      payload[key] = value;
+    }
+  }
+  return JSON.stringify(payload);
+}
+
+/**
+ * Sign stamp fields for an article.
+ *
+ * @param {Object} fields - Stamp fields
+ * @param {Object} options
+ * @param {string} options.articleText - Article body the stamp describes
+ * @param {crypto.KeyObject|string} options.privateKey - Ed25519 private key (KeyObject or PEM)
+ * @param {string} options.keyId - Identifier agents use to find the public key
+ * @returns {{ signature: string, key_id: string, content_hash: string }}
+ */
+function signStamp(fields, { articleText, privateKey, keyId }) {
+  const signed = {
+    key_id: keyId,
+    content_hash: hashArticle(articleText)
+  };
+  const payload = canonicalPayload({ ...fields, ...signed });
+  const signature = crypto.sign(null, Buffer.from(payload, 'utf8'), privateKey).toString('base64');
+  return { signature, ...signed };
+}
+
+/**
+ * Verify a stamp against trusted keys and the article it sits in.
+ *
+ * - `authentic`   signature valid and the article matches the signed hash
+ * - `stale`       signature valid but the article has changed since signing
+ * - `forged`      signature does not match the stamp fields
+ * - `unsigned`    the stamp carries no signature
+ * - `unknown-key` the stamp's key_id is not in the trusted keys
+ *
+ * The signed hash may cover the whole document or, for a section stamp,
+ * the H2 section it sits in; either one matching is current.
+ *
+ * @param {Object} fields - Parsed stamp fields
+ * @param {Object} options
+ * @param {string} options.articleText - Document containing the stamp
+ * @param {string|null} [options.sectionText] - H2 section containing the stamp, if any
+ * @param {Object<string, string>} options.trustedKeys - key_id → PEM public key
+ * @returns {{ status: string, key_id: string|null, scope?: 'document'|'section', reasons: string[] }}
+ */
+function verifyStamp(fields, { articleText, sectionText = null, trustedKeys }) {
+  const keyId = fields.key_id || null;
+
+  if (!fields.signature) {
+    return { status: 'unsigned', key_id: keyId, reasons: ['Stamp has no signature'] };
+  }
+  if (!keyId || !Object.prototype.hasOwnProperty.call(trustedKeys, keyId)) {
+    return { status: 'unknown-key', key_id: keyId, reasons: [`Key "${keyId}" is not in the trusted keys`] };
+  }
+
+  let valid;
+  try {
+    valid = crypto.verify(
+      null,
+      Buffer.from(canonicalPayload(fields), 'utf8'),
+      trustedKeys[keyId],
+      Buffer.from(fields.signature, 'base64')
+    );
+  } catch (e) {
+    return { status: 'forged', key_id: keyId, reasons: [`Signature could not be checked: ${e.message}`] };
+  }
+
+  if (!valid) {
+    return { status: 'forged', key_id: keyId, reasons: ['Signature does not match the stamp fields'] };
+  }
+
+  if (fields.content_hash === hashArticle(articleText)) {
+    return { status: 'authentic', key_id: keyId, scope: 'document', reasons: [] };
+  }
+  if (sectionText !== null && fields.content_hash === hashArticle(sectionText)) {
+    return { status: 'authentic', key_id: keyId, scope: 'section', reasons: [] };
+  }
+  return {
+    status: 'stale',
+    key_id: keyId,
+    reasons: [`${sectionText !== null ? 'Article and section content have' : 'Article content has'} changed since the stamp was signed`]
+  };
+}
+
+/**
+ * Generate an Ed25519 key pair as PEM strings.
+ *
+ * @returns {{ privateKey: string, publicKey: string }}
+ */
+function generateKeyPair() {
+  return crypto.generateKeyPairSync('ed25519', {
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+}
+
+module.exports = {
+  signStamp,
+  verifyStamp,
+  hashArticle,
+  canonicalPayload,
+  generateKeyPair,
+  SIGNATURE_FIELDS,
+  VERIFY_STATUSES
+};
@@ -0,0 +1,210 @@
+/**
+ * Zero Gravity — Site Index
+ *
+ * Builds `/.well-known/zero-gravity.json`: one file listing every stamped
+ * article on a site (URL, title, intent, metaindex, embedding input hash,
+ * manifest), so an agent can triage the whole site without fetching each
+ * page. Large sites are split into pages linked by `next` / `prev`.
+ * No external dependencies. No API calls.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseZG, validateFullJSON, stampFieldsFromJSON } = require('./parser.cjs');
+const { fieldsToEmbeddingText, hashText } = require('./embedder.cjs');
+const { walkFiles } = require('./batch.cjs');
+const { normalizeUrl } = require('./corpus.cjs');
+const { CURRENT_VERSION } = require('./versions.cjs');
+
+const INDEX_ENCODING = 'zero-gravity-index';
+const INDEX_PATH = '/.well-known/zero-gravity.json';
+const DEFAULT_PAGE_SIZE = 500;
+
+const ZG_JSON_SUFFIX = '.zg.json';
+const DOCUMENT_EXTENSIONS = ['.md', '.markdown', '.html', '.htm'];
+
+/**
+ * URL of a document, from its path relative to the site root:
+ * extensions of markdown files are dropped, index pages map to their
+ * directory ("posts/index.md" → "/posts/").
+ *
+ * @param {string} relative - Path relative to the site root
+ * @param {string} baseUrl - Site origin, e.g. "https://example.com"
+ * @returns {string}
+ */
+function documentUrl(relative, baseUrl) {
+  let urlPath = relative.split(path.sep).join('/');
+  urlPath = urlPath.replace(/(^|\/)index\.(md|markdown|html?)$/i, '$1');
+  urlPath = urlPath.replace(/\.(md|markdown)$/i, '');
+  return new URL(urlPath.split('/').map(encodeURIComponent).join('/'), baseUrl.replace(/\/?$/, '/')).href;
+}
+
+/**
+ * One index entry. Title, intent and metaindex are the stamp's, so a
+ * .zg.json contributes its intent sentence rather than the intent enum.
+ *
+ * `input_hash` comes from a full JSON only: its stored vector's hash, or
+ * else the hash of what embed() would embed from it. An inline stamp lacks
+ * the fields the embedding input is built from, so a document listed
+ * without its .zg.json gets null.
+ *
+ * @param {Object} fields - Stamp fields or full JSON
+ * @param {string} url
+ * @param {'stamp'|'json'} kind
+ * @returns {{ url: string, title: string, intent: string, metaindex: string[], input_hash: string|null, manifest?: string, published_at?: string }}
+ */
+function indexEntry(fields, url, kind) {
+  const stamp = kind === 'json' ? stampFieldsFromJSON(fields) : fields;
+  let inputHash = null;
+  if (kind === 'json') {
+    inputHash = (fields.embedding && fields.embedding.input_hash) || hashText(fieldsToEmbeddingText(fields));
+  }
+  return {
+    url,
+    title: stamp.title,
+    intent: stamp.intent,
+    metaindex: stamp.metaindex,
+    input_hash: inputHash,
+    ...(fields.manifest ? { manifest: fields.manifest } : {}),
+    ...(fields.published_at ? { published_at: fields.published_at } : {})
+  };
+}
+
+/**
+ * Collect index entries from a directory of stamped documents (.md, .html)
+ * and .zg.json files.
+ *
+ * A .zg.json is listed under its canonical_url or source_url; a document
+ * under its path below `dir`, resolved against `baseUrl`, using its first
+ * stamp. Invalid stamps and entries without a URL are skipped. When a
+ * document and a .zg.json describe the same URL, the .zg.json wins.
+ *
+ * @param {string} dir
+ * @param {Object} [options]
+ * @param {string|null} [options.baseUrl] - Site origin for document URLs
+ * @returns {{ entries: Object[], skipped: Array<{ file: string, reason: string }> }}
+ */
+function collectEntries(dir, { baseUrl = null } = {}) {
+  const byUrl = new Map();
+  const skipped = [];
+
+  const files = walkFiles(dir)
+    .filter(file => file.endsWith(ZG_JSON_SUFFIX) || DOCUMENT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    // The generator's standalone stamp files are not articles
+    .filter(file => !/\.stamp\.(md|html)$/i.test(file))
+    .sort();
+
+  for (const file of files) {
+    const isJSON = file.endsWith(ZG_JSON_SUFFIX);
+    let fields;
+    let url;
+
+    if (isJSON) {
+      try {
+        fields = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      } catch (e) {
+        skipped.push({ file, reason: `not valid JSON: ${e.message}` });
+        continue;
+      }
+      const validation = validateFullJSON(fields);
+      if (!validation.valid) {
+        skipped.push({ file, reason: `invalid: ${validation.errors[0]}` });
+        continue;
+      }
+      url = fields.canonical_url || fields.source_url;
+      if (!url) {
+        skipped.push({ file, reason: 'no source_url or canonical_url' });
+        continue;
+      }
+    } else {
+      const stamp = parseZG(fs.readFileSync(file, 'utf-8'));
+      if (!stamp) continue; // Not stamped: not part of the index
+      if (!stamp.validation.valid) {
+        skipped.push({ file, reason: `invalid stamp: ${stamp.validation.errors[0]}` });
+        continue;
+      }
+      if (!baseUrl) {
+        skipped.push({ file, reason: 'no --base-url to give the document a URL' });
+        continue;
+      }
+      fields = stamp.fields;
+      url = documentUrl(path.relative(dir, file), baseUrl);
+    }
+
+    const key = normalizeUrl(url) || url;
+    const existing = byUrl.get(key);
+    if (existing) {
+      const replace = isJSON && !existing.isJSON;
+      const [kept, dropped] = replace ? [file, existing.file] : [existing.file, file];
+      skipped.push({ file: dropped, reason: `same URL as ${path.relative(dir, kept)}` });
+      if (!replace) continue;
+    }
+    byUrl.set(key, { file, isJSON, entry: indexEntry(fields, url, isJSON ? 'json' : 'stamp') });
+  }
+
+  // Newest first when dated, then by URL
+  const entries = [...byUrl.values()]
+    .map(v => v.entry)
+    .sort((a, b) => (b.published_at || '').localeCompare(a.published_at || '') || a.url.localeCompare(b.url));
+  return { entries, skipped };
+}
+
+/**
+ * URL of an index page. Page 1 is the well-known file itself; later pages
+ * sit beside it, under /.well-known/zero-gravity/.
+ *
+ * @param {number} page
+ * @param {string|null} baseUrl - Absolute links when given, root-relative otherwise
+ * @returns {string}
+ */
+function pageUrl(page, baseUrl) {
+  const pagePath = page === 1 ? INDEX_PATH : INDEX_PATH.replace(/\.json$/, `/page-${page}.json`);
+  return baseUrl ? new URL(pagePath, baseUrl).href : pagePath;
+}
+
+/**
+ * Split entries into index pages.
+ *
+ * @param {Object[]} entries - From collectEntries()
+ * @param {Object} [options]
+ * @param {number} [options.pageSize=DEFAULT_PAGE_SIZE]
+ * @param {string|null} [options.baseUrl]
+ * @returns {Array<{ page: number, path: string, json: Object }>} `path` is relative to the site root
+ */
+function buildIndexPages(entries, { pageSize = DEFAULT_PAGE_SIZE, baseUrl = null } = {}) {
+  const pages = Math.max(1, Math.ceil(entries.length / pageSize));
+  const generatedAt = new Date().toISOString();
+  const result = [];
+
+  for (let page = 1; page <= pages; page++) {
+    result.push({
+      page,
+      path: pageUrl(page, null).slice(1),
+      json: {
+        encoding: INDEX_ENCODING,
+        version: CURRENT_VERSION,
+        site: baseUrl ? new URL(baseUrl).origin : null,
+        generated_at: generatedAt,
+        total: entries.length,
+        page,
+        pages,
+        page_size: pageSize,
+        prev: page > 1 ? pageUrl(page - 1, baseUrl) : null,
+        next: page < pages ? pageUrl(page + 1, baseUrl) : null,
+        articles: entries.slice((page - 1) * pageSize, page * pageSize)
+      }
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  collectEntries,
+  buildIndexPages,
+  indexEntry,
+  documentUrl,
+  pageUrl,
+  INDEX_ENCODING,
+  INDEX_PATH,
+  DEFAULT_PAGE_SIZE
+};
@@ -0,0 +1,336 @@
+/**
+ * Zero Gravity — Usage
+ *
+ * Append-only ledger of model calls: one JSON line per generation or
+ * embedding call with the model, token counts and an estimated cost
+ * from a price table (USD per million tokens). Also the per-day, model
+ * and source totals behind `usage`, and the spending limit behind
+ * --budget, which refuses a call whose projected cost would go over.
+ * No external dependencies. No API calls.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// USD per million tokens. Keys match a model exactly or as a prefix
+// ("claude-sonnet-4" covers "claude-sonnet-4-6" and dated snapshots).
+const DEFAULT_PRICES = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-4': { input: 1, output: 5 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'mock': { input: 0, output: 0 },
+  'zero-gravity-hash-v1': { input: 0, output: 0 }
+};
+
+const USAGE_GROUPS = ['day', 'model', 'source'];
+
+/**
+ * A call that would take spending over the --budget limit. Raised before
+ * the call is made, so nothing is spent on it.
+ */
+class BudgetExceededError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {number} [options.budget] - Limit in USD
+   * @param {number} [options.spent] - Spent so far in this run, in USD
+   */
+  constructor(message, { budget, spent } = {}) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.budget = budget;
+    this.spent = spent;
+  }
+}
+
+/**
+ * Load the price table: the defaults, overridden model by model by a JSON
+ * file of the same shape.
+ *
+ * @param {string} [file] - Path to a JSON price table
+ * @returns {Object<string, { input: number, output: number }>}
+ */
+function loadPrices(file) {
+  if (!file) return { ...DEFAULT_PRICES };
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Cannot read price table ${file}: ${e.message}`);
+  }
+  for (const [model, price] of Object.entries(overrides)) {
+    if (!price || typeof price.input !== 'number' || (price.output !== undefined && typeof price.output !== 'number')) {
+      throw new Error(`Price table ${file}: "${model}" needs numeric input (and output) prices per million tokens`);
+    }
+  }
+  return { ...DEFAULT_PRICES, ...overrides };
+}
+
+/**
+ * Price of a model: an exact entry, else the longest entry it starts with.
+ *
+ * @param {string} model
+ * @param {Object} prices - From loadPrices()
+ * @returns {{ input: number, output: number }|null} null when the model is not priced
+ */
+function priceFor(model, prices) {
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+  const prefix = Object.keys(prices)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Estimated cost of a call in USD.
+ *
+ * @param {string} model
+ * @param {{ input_tokens?: number, output_tokens?: number }} usage
+ * @param {Object} prices - From loadPrices()
+ * @returns {number|null} null when the model is not priced
+ */
+function estimateCost(model, usage, prices) {
+  const price = priceFor(model, prices);
+  if (!price) return null;
+  const cost = ((usage.input_tokens || 0) * price.input + (usage.output_tokens || 0) * (price.output || 0)) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Rough token count of a text, for projecting a call before it is made.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Read every entry of a ledger. Unparseable lines are skipped.
+ *
+ * @param {string} file
+ * @returns {Object[]}
+ */
+function readLedger(file) {
+  if (!fs.existsSync(file)) return [];
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A line cut short by an interrupted write
+    }
+  }
+  return entries;
+}
+
+/**
+ * Start metering a run: records calls to the ledger and enforces the
+ * optional budget. Calls in flight count against the budget at their
+ * projected cost until their actual usage is recorded.
+ *
+ * @param {Object} options
+ * @param {string|null} options.ledger - Ledger file; null to keep no ledger
+ * @param {Object} [options.prices] - From loadPrices()
+ * @param {number|null} [options.budget] - Limit for this run in USD
+ * @param {string} [options.command] - CLI command recorded with each entry
+ * @param {function(string): void} [options.warn]
+ * @returns {Object} Meter with spent/reserve/release/record
+ */
+function createMeter({ ledger, prices = DEFAULT_PRICES, budget = null, command = null, warn = () => {} }) {
+  let spent = 0;
+  let reserved = 0;
+  const unpriced = new Set();
+
+  const cost = (model, usage) => {
+    const value = estimateCost(model, usage, prices);
+    if (value === null && !unpriced.has(model)) {
+      unpriced.add(model);
+      warn(`No price for model "${model}"; its calls are ledgered without a cost${budget !== null ? ' and do not count against --budget' : ''}`);
+    }
+    return value;
+  };
+
+  return {
+    budget,
+    get spent() { return spent; },
+
+    /**
+     * Reserve the projected cost of a call, or refuse it when that would
+     * go over the budget.
+     *
+     * @param {string} model
+     * @param {{ input_tokens: number, output_tokens: number }} projected - Projected usage
+     * @returns {number} Reserved amount; pass it back to record()
+     * @throws {BudgetExceededError}
+     */
+    reserve(model, projected) {
+      const amount = cost(model, projected) || 0;
+      if (budget !== null && spent + reserved + amount > budget) {
+        throw new BudgetExceededError(
+          `Budget of $${budget.toFixed(2)} reached: $${spent.toFixed(4)} spent, next call projected at $${amount.toFixed(4)}`,
+          { budget, spent }
+        );
+      }
+      reserved += amount;
+      return amount;
+    },
+
+    /**
+     * Release a reservation whose call failed; failed calls are not ledgered.
+     *
+     * @param {number} amount - From reserve()
+     */
+    release(amount) {
+      reserved = Math.max(0, reserved - amount);
+    },
+
+    /**
+     * Record a finished call and release its reservation.
+     *
+     * @param {Object} entry
+     * @param {'generation'|'embedding'} entry.kind
+     * @param {string} entry.model
+     * @param {string} [entry.source] - Article slug or URL the call was for
+     * @param {{ input_tokens: number, output_tokens: number }} entry.usage
+     * @param {boolean} [entry.estimated] - Token counts are estimates
+     * @param {number} [reservedAmount=0] - From reserve()
+     * @returns {Object} The ledger entry
+     */
+    record({ kind, model, source = null, usage, estimated = false }, reservedAmount = 0) {
+      reserved = Math.max(0, reserved - reservedAmount);
+      const costUsd = cost(model, usage);
+      spent += costUsd || 0;
+      const line = {
+        at: new Date().toISOString(),
+        kind,
+        command,
+        source,
+        model,
+        input_tokens: usage.input_tokens || 0,
+        output_tokens: usage.output_tokens || 0,
+        cost_usd: costUsd,
+        ...(estimated ? { estimated: true } : {})
+      };
+      if (ledger) {
+        fs.mkdirSync(path.dirname(ledger), { recursive: true });
+        fs.appendFileSync(ledger, JSON.stringify(line) + '\n');
+      }
+      return line;
+    }
+  };
+}
+
+/**
+ * Wrap a generation backend so every call is checked against the budget
+ * (input estimated from the prompt, output at its token limit) and
+ * recorded with its actual usage.
+ *
+ * @param {Object} backend - GenerationBackend
+ * @param {Object} meter - From createMeter()
+ * @param {Object} [options]
+ * @param {string} [options.source] - Recorded with each call
+ * @returns {Object} GenerationBackend
+ */
+function meterBackend(backend, meter, { source = null } = {}) {
+  return {
+    ...backend,
+    async complete(request) {
+      const reserved = meter.reserve(backend.model, {
+        input_tokens: estimateTokens(request.system) + estimateTokens(request.text),
+        output_tokens: request.maxTokens || 0
+      });
+      let response;
+      try {
+        response = await backend.complete(request);
+      } catch (e) {
+        meter.release(reserved);
+        throw e;
+      }
+      meter.record({ kind: 'generation', model: response.model || backend.model, source, usage: response.usage || {} }, reserved);
+      return response;
+    }
+  };
+}
+
+/**
+ * Wrap an embedding provider so every call is checked against the budget
+ * and recorded. Embedding APIs are billed on input only; token counts are
+ * estimated from the text length.
+ *
+ * @param {Object} provider - EmbeddingProvider
+ * @param {Object} meter - From createMeter()
+ * @param {Object} [options]
+ * @param {string} [options.source] - Recorded with each call
+ * @returns {Object} EmbeddingProvider
+ */
+function meterEmbedder(provider, meter, { source = null } = {}) {
+  return {
+    ...provider,
+    async embedText(input) {
+      const usage = { input_tokens: estimateTokens(input), output_tokens: 0 };
+      const reserved = meter.reserve(provider.model, usage);
+      let vector;
+      try {
+        vector = await provider.embedText(input);
+      } catch (e) {
+        meter.release(reserved);
+        throw e;
+      }
+      meter.record({ kind: 'embedding', model: provider.model, source, usage, estimated: true }, reserved);
+      return vector;
+    }
+  };
+}
+
+/**
+ * Totals of ledger entries grouped by day (UTC), model or source.
+ *
+ * @param {Object[]} entries - From readLedger()
+ * @param {'day'|'model'|'source'} by
+ * @returns {Array<{ key: string, calls: number, input_tokens: number, output_tokens: number, cost_usd: number, unpriced: number }>}
+ *   Days in date order, models and sources by cost, highest first; `unpriced` counts calls without a cost
+ */
+function summarizeUsage(entries, by) {
+  if (!USAGE_GROUPS.includes(by)) throw new Error(`Unknown usage grouping: ${by}`);
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = by === 'day' ? String(entry.at || '').slice(0, 10) : (entry[by] || '(none)');
+    const group = groups.get(key) || { key, calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0, unpriced: 0 };
+    group.calls++;
+    group.input_tokens += entry.input_tokens || 0;
+    group.output_tokens += entry.output_tokens || 0;
+    if (typeof entry.cost_usd === 'number') group.cost_usd += entry.cost_usd;
+    else group.unpriced++;
+    groups.set(key, group);
+  }
+  const rows = [...groups.values()].map(g => ({ ...g, cost_usd: Math.round(g.cost_usd * 1e6) / 1e6 }));
+  return by === 'day'
+    ? rows.sort((a, b) => a.key.localeCompare(b.key))
+    : rows.sort((a, b) => (b.cost_usd - a.cost_usd) || a.key.localeCompare(b.key));
+}
+
+module.exports = {
+  createMeter,
+  meterBackend,
+  meterEmbedder,
+  readLedger,
+  summarizeUsage,
+  loadPrices,
+  estimateCost,
+  BudgetExceededError,
+  DEFAULT_PRICES,
+  USAGE_GROUPS
+};
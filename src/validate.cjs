@@ -0,0 +1,222 @@
+/**
+ * Zero Gravity — Validate
+ *
+ * Checks every stamp in a directory of documents (.md, .html) and every
+ * .zg.json against the published JSON Schemas, reporting each error with
+ * its file, line and field path. Reports format as text, JSON or JUnit
+ * XML so CI can gate merges on them.
+ * No external dependencies. No API calls.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseAllZG, validateFullJSON } = require('./parser.cjs');
+const { walkFiles } = require('./batch.cjs');
+
+const DOCUMENT_EXTENSIONS = ['.md', '.markdown', '.html', '.htm'];
+const ZG_JSON_SUFFIX = '.zg.json';
+const REPORT_FORMATS = ['text', 'json', 'junit'];
+
+/**
+ * Whether validate checks a file.
+ *
+ * @param {string} file
+ * @returns {boolean}
+ */
+function isValidateTarget(file) {
+  return file.endsWith(ZG_JSON_SUFFIX) || DOCUMENT_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+/**
+ * Files to validate: every document and .zg.json beneath a directory, or
+ * a single file.
+ *
+ * @param {string} input - Directory or file
+ * @returns {string[]} Absolute paths, sorted
+ */
+function listTargets(input) {
+  const resolved = path.resolve(input);
+  if (!fs.existsSync(resolved)) throw new Error(`Not found: ${resolved}`);
+  if (!fs.statSync(resolved).isDirectory()) return [resolved];
+  return walkFiles(resolved).filter(isValidateTarget).sort();
+}
+
+/**
+ * Validate one file.
+ *
+ * Documents have every stamp checked (text blocks and script tags); a
+ * .zg.json is checked as a full JSON, envelope included. A document
+ * without stamps is skipped, or fails with `requireStamp`.
+ *
+ * @param {string} file
+ * @param {string} text - File contents
+ * @param {Object} [options]
+ * @param {boolean} [options.requireStamp=false]
+ * @returns {{ file: string, kind: 'document'|'json', stamps: number|null, skipped: boolean, errors: Array<{ line: number|null, path: string|null, message: string }>, warnings: Array<{ line: number|null, message: string }> }}
+ */
+function validateFile(file, text, { requireStamp = false } = {}) {
+  if (file.endsWith(ZG_JSON_SUFFIX)) {
+    const result = { file, kind: 'json', stamps: null, skipped: false, errors: [], warnings: [] };
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      result.errors.push({ line: null, path: null, message: `Not valid JSON: ${e.message}` });
+      return result;
+    }
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      result.errors.push({ line: null, path: null, message: 'A .zg.json must contain a JSON object' });
+      return result;
+    }
+    const validation = validateFullJSON(json, { envelope: true });
+    result.errors = validation.details.map(({ path: fieldPath, message }) => ({ line: null, path: fieldPath, message }));
+    result.warnings = validation.warnings.map(message => ({ line: null, message }));
+    return result;
+  }
+
+  const stamps = parseAllZG(text);
+  const result = { file, kind: 'document', stamps: stamps.length, skipped: false, errors: [], warnings: [] };
+  if (stamps.length === 0) {
+    if (requireStamp) result.errors.push({ line: null, path: null, message: 'No Zero Gravity stamp found' });
+    else result.skipped = true;
+    return result;
+  }
+  for (const stamp of stamps) {
+    const line = text.slice(0, stamp.start).split('\n').length;
+    for (const { path: fieldPath, message } of stamp.validation.details) {
+      result.errors.push({ line, path: fieldPath, message });
+    }
+    for (const message of stamp.validation.warnings) {
+      result.warnings.push({ line, message });
+    }
+  }
+  return result;
+}
+
+/**
+ * Counts over a set of results.
+ *
+ * @param {Object[]} results - From validateFile()
+ * @returns {{ files: number, passed: number, failed: number, skipped: number, errors: number, warnings: number }}
+ */
+function summarize(results) {
+  return {
+    files: results.length,
+    passed: results.filter(r => !r.skipped && r.errors.length === 0).length,
+    failed: results.filter(r => r.errors.length > 0).length,
+    skipped: results.filter(r => r.skipped).length,
+    errors: results.reduce((sum, r) => sum + r.errors.length, 0),
+    warnings: results.reduce((sum, r) => sum + r.warnings.length, 0)
+  };
+}
+
+/**
+ * Where an issue is, as "file:line". Messages already name the field path.
+ *
+ * @param {string} file - Display path
+ * @param {{ line: number|null }} issue
+ * @returns {string}
+ */
+function location(file, issue) {
+  return `${file}${issue.line ? `:${issue.line}` : ''}`;
+}
+
+/**
+ * Plain-text report: failures in full, one line per passing or skipped file.
+ *
+ * @param {Object[]} results - From validateFile(), with display paths
+ * @returns {string}
+ */
+function formatText(results) {
+  const lines = [];
+  for (const r of results) {
+    if (r.errors.length > 0) {
+      lines.push(`FAIL ${r.file}`);
+      for (const e of r.errors) lines.push(`  error    ${location(r.file, e)}: ${e.message}`);
+    } else if (r.skipped) {
+      lines.push(`skip ${r.file} (no stamp)`);
+    } else {
+      lines.push(`ok   ${r.file}${r.kind === 'document' ? ` (${r.stamps} stamp${r.stamps === 1 ? '' : 's'})` : ''}`);
+    }
+    for (const w of r.warnings) lines.push(`  warning  ${location(r.file, w)}: ${w.message}`);
+  }
+  const s = summarize(results);
+  lines.push('');
+  lines.push(`${s.files} files: ${s.passed} passed, ${s.failed} failed, ${s.skipped} skipped (${s.errors} errors, ${s.warnings} warnings)`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape text for XML attributes and content.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * JUnit XML report: one test case per file, failing with every error,
+ * skipped when a document has no stamp. Warnings go to system-out.
+ *
+ * @param {Object[]} results - From validateFile(), with display paths
+ * @param {Object} [options]
+ * @param {string} [options.name='zero-gravity'] - Test suite name
+ * @returns {string}
+ */
+function formatJUnit(results, { name = 'zero-gravity' } = {}) {
+  const s = summarize(results);
+  const cases = results.map(r => {
+    const open = `    <testcase classname="${escapeXML(`${name}.${r.kind}`)}" name="${escapeXML(r.file)}" time="0"`;
+    const body = [];
+    if (r.errors.length > 0) {
+      const detail = r.errors.map(e => `${location(r.file, e)}: ${e.message}`).join('\n');
+      body.push(`      <failure message="${escapeXML(`${r.errors.length} validation error${r.errors.length === 1 ? '' : 's'}`)}" type="validation">${escapeXML(detail)}</failure>`);
+    } else if (r.skipped) {
+      body.push('      <skipped message="no stamp"/>');
+    }
+    if (r.warnings.length > 0) {
+      body.push(`      <system-out>${escapeXML(r.warnings.map(w => `warning: ${location(r.file, w)}: ${w.message}`).join('\n'))}</system-out>`);
+    }
+    return body.length > 0 ? `${open}>\n${body.join('\n')}\n    </testcase>` : `${open}/>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXML(name)}" tests="${s.files}" failures="${s.failed}" skipped="${s.skipped}">`,
+    `  <testsuite name="${escapeXML(name)}" tests="${s.files}" failures="${s.failed}" errors="0" skipped="${s.skipped}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Format a report.
+ *
+ * @param {Object[]} results - From validateFile(), with display paths
+ * @param {'text'|'json'|'junit'} format
+ * @returns {string}
+ */
+function formatReport(results, format) {
+  switch (format) {
+    case 'text': return formatText(results);
+    case 'json': return JSON.stringify({ summary: summarize(results), files: results }, null, 2) + '\n';
+    case 'junit': return formatJUnit(results);
+    default: throw new Error(`Unknown report format: ${format}`);
+  }
+}
+
+module.exports = {
+  listTargets,
+  validateFile,
+  summarize,
+  formatReport,
+  REPORT_FORMATS
+};
@@ -0,0 +1,274 @@
+/**
+ * Zero Gravity — Versions
+ *
+ * Registry of per-version field schemas and validators. Parsers dispatch
+ * through here on the `version` field so each block is checked against
+ * the rules of the version it declares, and migrate() walks documents
+ * from one version to another.
+ * No external dependencies. No API calls.
+ */
+
+const CURRENT_VERSION = '0.1';
+
+// Version strings look like "0.1", "1.0", "1.12"
+const VERSION_REGEX = /^\d+\.\d+$/;
+
+// Stamp field order (spec: Field Order)
+const STAMP_FIELD_ORDER = [
+  'encoding', 'version', 'author', 'title', 'intent', 'metaindex', 'model', 'manifest',
+  'content_hash', 'key_id', 'signature'
+];
+
+// Stamp required fields
+const STAMP_REQUIRED_FIELDS = ['encoding', 'version', 'title', 'intent', 'metaindex'];
+
+// Full JSON required fields (from generator output)
+const JSON_REQUIRED_FIELDS = ['id', 'title', 'intent', 'relevance', 'claims', 'metaindex'];
+
+// Full JSON fields, in spec order. The trailing fields are written by
+// the CLI (model, manifest, source hash, generation record, fetched page
+// metadata, section parent, dedupe links, signature) and are kept by migrations.
+const JSON_FIELD_ORDER = [
+  'encoding', 'version', 'id', 'author', 'title', 'intent', 'relevance', 'claims', 'metaindex',
+  'stance', 'novelty', 'tags', 'relations', 'audience', 'actions', 'embedding', 'created_at',
+  'model', 'manifest', 'source_hash', 'generation', 'source_url', 'canonical_url', 'published_at', 'parent', 'section', 'duplicate_of', 'duplicates', 'content_hash', 'key_id', 'signature'
+];
+
+// Full JSON optional list fields
+const JSON_LIST_FIELDS = ['claims', 'metaindex', 'novelty', 'tags', 'relations', 'audience', 'actions'];
+
+// Full JSON enumerations
+const INTENT_VALUES = ['proposal', 'critique', 'synthesis', 'report', 'design'];
+const STANCE_VALUES = ['speculative', 'empirical', 'prescriptive', 'exploratory'];
+
+// Stable slug identifier: lowercase alphanumeric words joined by hyphens
+const ID_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Turn schema issues into a validation result.
+ *
+ * @param {Array<{ path: string, message: string }>} details - From validateSchema()
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], details: Array<{ path: string, message: string }> }}
+ */
+function schemaResult(details) {
+  return { valid: details.length === 0, errors: details.map(d => d.message), warnings: [], details };
+}
+
+/**
+ * Validate a parsed stamp against the v0.1 stamp schema.
+ *
+ * @param {Object} fields - Parsed fields from parseBlock
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], details: Array<{ path: string, message: string }> }}
+ */
+function validateStamp01(fields) {
+  // Required here, not at the top: schemas.cjs reads its pattern hints from this module
+  const { validateSchema, STAMP_SCHEMA } = require('./schemas.cjs');
+  return schemaResult(validateSchema(fields, STAMP_SCHEMA));
+}
+
+/**
+ * Validate full JSON against the v0.1 full JSON schema.
+ *
+ * @param {Object} json - Parsed full JSON
+ * @param {Object} [options]
+ * @param {boolean} [options.envelope=false] - Require encoding and version; generator output has neither yet
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], details: Array<{ path: string, message: string }> }}
+ */
+function validateFullJSON01(json, { envelope = false } = {}) {
+  const { validateSchema, FULL_JSON_SCHEMA, GENERATED_FIELDS_SCHEMA } = require('./schemas.cjs');
+  return schemaResult(validateSchema(json, envelope ? FULL_JSON_SCHEMA : GENERATED_FIELDS_SCHEMA));
+}
+
+/**
+ * Version registry. Each entry describes one version's stamp and full
+ * JSON fields and supplies its validators.
+ */
+const VERSIONS = {
+  '0.1': {
+    version: '0.1',
+    stamp: { fields: STAMP_FIELD_ORDER, required: STAMP_REQUIRED_FIELDS },
+    json: { fields: JSON_FIELD_ORDER, required: JSON_REQUIRED_FIELDS },
+    validateStamp: validateStamp01,
+    validateFullJSON: validateFullJSON01
+  }
+};
+
+/**
+ * Migration steps between adjacent versions.
+ * Each step receives a copy of the document and a report to append to:
+ * `up(doc, kind, report)` returns the migrated document, pushing field
+ * names onto `report.dropped` / `report.synthesized` as it goes.
+ * v0.1 is the first version, so there are no steps yet.
+ *
+ * @type {Array<{ from: string, to: string, up: function(Object, 'stamp'|'json', Object): Object }>}
+ */
+const MIGRATIONS = [];
+
+/**
+ * Look up a registered version.
+ *
+ * @param {string} version
+ * @returns {Object|null} Registry entry
+ */
+function getVersion(version) {
+  return Object.prototype.hasOwnProperty.call(VERSIONS, version) ? VERSIONS[version] : null;
+}
+
+/**
+ * @returns {string[]} Registered versions
+ */
+function listVersions() {
+  return Object.keys(VERSIONS);
+}
+
+/**
+ * Result for a block whose version has no registered rules: only the
+ * envelope is checked, and a warning says the fields were not validated.
+ *
+ * @param {Object} fields
+ * @param {string} kind - "stamp" or "full JSON"
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], details: Array<{ path: string, message: string }> }}
+ */
+function validateUnknownVersion(fields, kind) {
+  const details = [];
+  if (fields.encoding !== undefined && fields.encoding !== 'zero-gravity') {
+    details.push({ path: 'encoding', message: `Unexpected encoding: "${fields.encoding}" (expected "zero-gravity")` });
+  }
+  if (!VERSION_REGEX.test(String(fields.version))) {
+    details.push({ path: 'version', message: `Invalid version: "${fields.version}" (expected e.g. "${CURRENT_VERSION}")` });
+  }
+  const warnings = [
+    `Unknown Zero Gravity version "${fields.version}"; ${kind} fields were not validated (known versions: ${listVersions().join(', ')})`
+  ];
+  return { ...schemaResult(details), warnings };
+}
+
+/**
+ * Validate stamp fields with the rules of the version they declare.
+ * A missing version is validated as the current version (and reported
+ * as a missing required field by those rules).
+ *
+ * @param {Object} fields
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], details: Array<{ path: string, message: string }> }}
+ */
+function validateStampForVersion(fields) {
+  const entry = getVersion(fields.version || CURRENT_VERSION);
+  return entry ? entry.validateStamp(fields) : validateUnknownVersion(fields, 'stamp');
+}
+
+/**
+ * Validate full JSON with the rules of the version it declares.
+ * Generator output carries no version yet and is validated as the current version.
+ *
+ * @param {Object} json
+ * @param {Object} [options] - Passed to the version's validator (e.g. `envelope`)
+ * @returns {{ valid: boolean, errors: string[], warnings: string[], details: Array<{ path: string, message: string }> }}
+ */
+function validateFullJSONForVersion(json, options) {
+  const entry = getVersion(json.version || CURRENT_VERSION);
+  return entry ? entry.validateFullJSON(json, options) : validateUnknownVersion(json, 'full JSON');
+}
+
+/**
+ * Find the chain of migration steps from one version to another.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @returns {Array<Object>|null} Steps in order, or null if there is no path
+ */
+function findMigrationPath(from, to) {
+  if (from === to) return [];
+  const queue = [{ version: from, steps: [] }];
+  const seen = new Set([from]);
+
+  while (queue.length > 0) {
+    const { version, steps } = queue.shift();
+    for (const step of MIGRATIONS.filter(m => m.from === version)) {
+      if (step.to === to) return [...steps, step];
+      if (!seen.has(step.to)) {
+        seen.add(step.to);
+        queue.push({ version: step.to, steps: [...steps, step] });
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Migrate a stamp or full JSON document to a target version.
+ *
+ * Runs the registered steps, then conforms the result to the target
+ * schema: fields the target does not define are dropped, and the
+ * envelope (plus `id` for full JSON, derived from the title) is
+ * synthesized when missing. Everything dropped or synthesized is reported.
+ *
+ * @param {Object} doc - Stamp fields or full JSON
+ * @param {Object} [options]
+ * @param {'stamp'|'json'} [options.kind='json']
+ * @param {string} [options.to] - Target version (default: current)
+ * @returns {{ doc: Object|null, from: string, to: string, dropped: string[], synthesized: string[], errors: string[] }}
+ */
+function migrate(doc, { kind = 'json', to = CURRENT_VERSION } = {}) {
+  const report = { dropped: [], synthesized: [] };
+  const from = doc.version || CURRENT_VERSION;
+  const target = getVersion(to);
+
+  if (!target) {
+    return { doc: null, from, to, ...report, errors: [`Unknown target version "${to}" (known versions: ${listVersions().join(', ')})`] };
+  }
+
+  const steps = findMigrationPath(from, to);
+  if (!steps) {
+    return { doc: null, from, to, ...report, errors: [`No migration path from version "${from}" to "${to}"`] };
+  }
+
+  let current = JSON.parse(JSON.stringify(doc));
+  for (const step of steps) {
+    current = step.up(current, kind, report);
+    current.version = step.to;
+  }
+
+  // Conform to the target schema
+  const schema = kind === 'stamp' ? target.stamp : target.json;
+  if (!current.encoding) report.synthesized.push('encoding');
+  if (!doc.version) report.synthesized.push('version');
+  current.encoding = 'zero-gravity';
+  current.version = to;
+
+  if (kind === 'json' && !current.id && current.title) {
+    const { slugify } = require('./generator.cjs');
+    current.id = slugify(current.title);
+    report.synthesized.push('id');
+  }
+
+  const conformed = {};
+  for (const field of schema.fields) {
+    if (current[field] !== undefined) conformed[field] = current[field];
+  }
+  for (const field of Object.keys(current)) {
+    if (!schema.fields.includes(field)) report.dropped.push(field);
+  }
+
+  return { doc: conformed, from, to, ...report, errors: [] };
+}
+
+module.exports = {
+  getVersion,
+  listVersions,
+  validateStampForVersion,
+  validateFullJSONForVersion,
+  migrate,
+  findMigrationPath,
+  VERSIONS,
+  MIGRATIONS,
+  CURRENT_VERSION,
+  VERSION_REGEX,
+  STAMP_FIELD_ORDER,
+  STAMP_REQUIRED_FIELDS,
+  JSON_FIELD_ORDER,
+  JSON_REQUIRED_FIELDS,
+  JSON_LIST_FIELDS,
+  INTENT_VALUES,
+  STANCE_VALUES,
+  ID_REGEX
+};